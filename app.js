@@ -2,113 +2,197 @@
 // - Only labels the SINGLE closest match from enrolled people
 // - Only draws boxes for matched faces
 // - Filters bogus detections (prevents "arm/torso is a face")
-// - Speeds up + prevents “stuck at 5/32” by using TFJS scopes + smaller detector
-// Models must be at /models on the SAME site.
+// - Scans run in a Web Worker (scan-worker.js) so big batches don't freeze the page
+// - Detection + matching live in scan-core.js (shared with the worker)
+// - The markup comes from <dnu-scanner> (dnu-scanner.js), rendered before this runs
+// Models load from its model-url attribute (default /models, on the SAME site).
 
-const MODEL_URL = "/models";
+const scannerHost = document.querySelector("dnu-scanner");
+const MODEL_URL = scannerHost?.modelUrl || "/models";
+const APP_BASE = document.currentScript?.src || location.href; // scan-worker.js sits next to this file
 
 // -------------------- Elements --------------------
-const el = (id) => document.getElementById(id);
+const scannerRoot = scannerHost?.shadowRoot || document; // the element's controls live in its shadow root
+const el = (id) => scannerRoot.getElementById(id);
 
 const modelStatus = el("modelStatus");
 
+const workspaceSelect = el("workspaceSelect");
+const btnWorkspaceNew = el("btnWorkspaceNew");
+const btnWorkspaceDuplicate = el("btnWorkspaceDuplicate");
+const btnWorkspaceRename = el("btnWorkspaceRename");
+const btnWorkspaceDelete = el("btnWorkspaceDelete");
+
 const personName = el("personName");
 const btnAddPerson = el("btnAddPerson");
 const btnClearAll = el("btnClearAll");
+const btnCalibrate = el("btnCalibrate");
 
 const peopleCount = el("peopleCount");
 const peopleList = el("peopleList");
+const storageStatus = el("storageStatus");
 const personSelect = el("personSelect");
 
+const enrollDetector = el("enrollDetector");
 const enrollInput = el("enrollInput");
 const enrollDrop = el("enrollDrop");
 const enrollStatus = el("enrollStatus");
 const crops = el("crops");
 
 const scanPeople = el("scanPeople");
+const scanGroups = el("scanGroups");
 const btnAll = el("btnAll");
 const btnNone = el("btnNone");
 
+const scanDetector = el("scanDetector");
 const scanInput = el("scanInput");
+const scanFolderInput = el("scanFolderInput");
+const btnScanFolder = el("btnScanFolder");
+const scanDrop = el("scanDrop");
+const scanQueueInfo = el("scanQueueInfo");
+const parallelDecode = el("parallelDecode");
+const scanTiled = el("scanTiled");
+const videoInterval = el("videoInterval");
+const btnClearCache = el("btnClearCache");
 const btnScan = el("btnScan");
 const scanStatus = el("scanStatus");
+const reportFormat = el("reportFormat");
+const btnReport = el("btnReport");
+
+const redactStyle = el("redactStyle");
+const redactPadding = el("redactPadding");
+const redactPadVal = el("redactPadVal");
+const redactOutput = el("redactOutput");
+const btnRedactBatch = el("btnRedactBatch");
 
 const threshold = el("threshold");
 const thrVal = el("thrVal");
+const borderline = el("borderline");
+const bandVal = el("bandVal");
+const ambiguity = el("ambiguity");
+const marginVal = el("marginVal");
+
+const clusterList = el("clusterList");
+const countUnknown = el("countUnknown");
 
 const resultsFlagged = el("resultsFlagged");
+const resultsPossible = el("resultsPossible");
 const resultsClear = el("resultsClear");
 
 const countFlagged = el("countFlagged");
+const countPossible = el("countPossible");
 const countClear = el("countClear");
+const resultsSkipped = el("resultsSkipped");
+const countSkipped = el("countSkipped");
+
+const scanControls = el("scanControls");
+const scanProgress = el("scanProgress");
+const scanProgressInfo = el("scanProgressInfo");
+const btnPauseScan = el("btnPauseScan");
+const btnCancelScan = el("btnCancelScan");
 
 const previewCanvas = el("previewCanvas");
+const previewShowAll = el("previewShowAll");
+const previewTip = el("previewTip");
+const previewFace = el("previewFace");
+const btnZoomIn = el("btnZoomIn");
+const btnZoomOut = el("btnZoomOut");
+const btnZoomReset = el("btnZoomReset");
 
 const btnExport = el("btnExport");
 const btnImport = el("btnImport");
 const importFile = el("importFile");
 
+const sampleDialog = el("sampleDialog");
+const sampleDialogTitle = el("sampleDialogTitle");
+const sampleGallery = el("sampleGallery");
+const btnCloseSamples = el("btnCloseSamples");
+
+const redactDialog = el("redactDialog");
+const redactDialogTitle = el("redactDialogTitle");
+const redactCanvas = el("redactCanvas");
+const redactInfo = el("redactInfo");
+const redactLive = el("redactLive");
+const btnRedactDelete = el("btnRedactDelete");
+const btnRedactReset = el("btnRedactReset");
+const btnRedactDownload = el("btnRedactDownload");
+const btnRedactDone = el("btnRedactDone");
+
+const exportDialog = el("exportDialog");
+const exportEncrypt = el("exportEncrypt");
+const exportPassFields = el("exportPassFields");
+const exportPass = el("exportPass");
+const exportPass2 = el("exportPass2");
+const exportError = el("exportError");
+const btnExportConfirm = el("btnExportConfirm");
+const btnExportCancel = el("btnExportCancel");
+
+const passDialog = el("passDialog");
+const passFileName = el("passFileName");
+const passInput = el("passInput");
+const passError = el("passError");
+const btnPassOk = el("btnPassOk");
+const btnPassCancel = el("btnPassCancel");
+
+const workspaceDialog = el("workspaceDialog");
+const workspaceDialogTitle = el("workspaceDialogTitle");
+const workspaceDialogText = el("workspaceDialogText");
+const workspaceName = el("workspaceName");
+const workspaceError = el("workspaceError");
+const btnWorkspaceOk = el("btnWorkspaceOk");
+const btnWorkspaceCancel = el("btnWorkspaceCancel");
+
+const importDialog = el("importDialog");
+const importSource = el("importSource");
+const importPreview = el("importPreview");
+const importErrorsWrap = el("importErrorsWrap");
+const importErrorsSummary = el("importErrorsSummary");
+const importErrors = el("importErrors");
+const btnImportConfirm = el("btnImportConfirm");
+const btnImportCancel = el("btnImportCancel");
+
 const helpDialog = el("helpDialog");
+
+const btnBulkEnroll = el("btnBulkEnroll");
+const bulkFolderInput = el("bulkFolderInput");
+const bulkDialog = el("bulkDialog");
+const bulkSource = el("bulkSource");
+const bulkSummary = el("bulkSummary");
+const bulkSkippedWrap = el("bulkSkippedWrap");
+const bulkSkippedSummary = el("bulkSkippedSummary");
+const bulkSkipped = el("bulkSkipped");
+const btnCloseBulk = el("btnCloseBulk");
+
+const btnCamera = el("btnCamera");
+const cameraDialog = el("cameraDialog");
+const cameraTitle = el("cameraTitle");
+const cameraVideo = el("cameraVideo");
+const cameraPrompt = el("cameraPrompt");
+const cameraSteps = el("cameraSteps");
+const cameraStatus = el("cameraStatus");
+const btnCameraSkip = el("btnCameraSkip");
+const btnCameraFinish = el("btnCameraFinish");
+const btnCameraCancel = el("btnCameraCancel");
 const btnHelp = el("btnHelp");
 const btnCloseHelp = el("btnCloseHelp");
 
 // -------------------- Data --------------------
 let modelsReady = false;
 
-let people = loadPeople();            // [{id, name, samples:number[][]}]
-let scanSelection = loadSelection();  // { [id]: boolean }
-
-// -------------------- Settings --------------------
-// ✅ Faster + less “stuck”: smaller inputSize + capped working canvas
-const DETECTOR_ENROLL = { inputSize: 416, scoreThreshold: 0.12 };
-const DETECTOR_SCAN   = { inputSize: 416, scoreThreshold: 0.12 };
-
-// Fallback: slightly more sensitive if no faces are found
-const DETECTOR_FALLBACK = { inputSize: 416, scoreThreshold: 0.06 };
-
-// Upscale a little if tiny faces, but also cap max dimensions to avoid huge GPU work
-const ENROLL_MIN_SIDE = 650;
-const SCAN_MIN_SIDE   = 750;
-
-// Hard cap (prevents 6000x4000 photos from melting the browser)
-const MAX_DIM_ENROLL = 1100;
-const MAX_DIM_SCAN   = 1100;
-
-// Prevent “crowd photo explosion”
-const MAX_FACES_PER_IMAGE = 30;
-const MAX_FACES_PER_IMAGE_SCAN = 12;
+// Filled from IndexedDB by initStore() (store.js); people + selection are the active workspace's
+let workspaces = [];      // [{id, name, createdAt}]
+let activeWorkspace = DEFAULT_WORKSPACE;
+let people = [];          // [{id, name, tags, samples:Sample[]}] (Sample: see normalizeSample in store.js)
+let scanSelection = {};   // { [id]: boolean }
+let storeReady = false;
 
-// Start strict for “only show real matches”
-const DEFAULT_THRESHOLD = 0.55;
+let scanItems = [];       // [{file, path}] — next batch to scan (path = relative to the dropped/picked folder)
+let scanRunning = false;   // Scan is busy: button stays off, no live re-bucketing
 
-// Plausibility filters (these kill "arm face" boxes)
-const MIN_FACE_PX = 40;            // too small → ignore
-const MIN_DET_SCORE = 0.35;        // too low confidence → ignore
-const MIN_AR = 0.65;               // aspect ratio lower bound
-const MAX_AR = 1.60;               // aspect ratio upper bound
-
-// Skip extremely large images (extra safety)
-const MAX_MEGAPIXELS = 18; // ~18MP
-
-// -------------------- TFJS cleanup (prevents slowdown / “stuck”) --------------------
-function tfScopeStart() {
-  const tf = faceapi?.tf;
-  if (tf?.engine) tf.engine().startScope();
-}
-function tfScopeEnd() {
-  const tf = faceapi?.tf;
-  if (tf?.engine) tf.engine().endScope();
-}
-async function tfYield() {
-  const tf = faceapi?.tf;
-  if (tf?.nextFrame) await tf.nextFrame();
-  else await new Promise((r) => setTimeout(r, 0));
-}
+// -------------------- Settings --------------------
+let detectorChoice = loadDetectorChoice(); // { enroll: key, scan: key }
 
 // -------------------- Helpers --------------------
-function uid() {
-  return Math.random().toString(16).slice(2) + Date.now().toString(16);
-}
 function setStatus(target, msg) {
   target.textContent = msg || "";
 }
@@ -118,33 +202,111 @@ function escapeHtml(str) {
   }[m]));
 }
 
-function savePeople() {
-  localStorage.setItem("dnu_people_v2", JSON.stringify(people));
-  syncSelection();
-  renderAll();
+// -------------------- Persistence (IndexedDB via store.js) --------------------
+// Before initStore has loaded there's nothing to write into yet: initStore saves what was
+// added meanwhile (see keepEarlyPeople)
+function persist(write) {
+  if (!storeReady) return;
+  write().then(() => showStorageError(null), showStorageError);
 }
-function loadPeople() {
-  try {
-    const raw = localStorage.getItem("dnu_people_v2") || localStorage.getItem("dnu_people_v1");
-    return raw ? JSON.parse(raw) : [];
-  } catch {
-    return [];
+function showStorageError(err) {
+  if (!err) {
+    storageStatus.hidden = true;
+    return;
+  }
+  console.error("Storage write failed:", err);
+  storageStatus.hidden = false;
+  storageStatus.textContent = isQuotaError(err)
+    ? "Not saved: browser storage is full. Export your people list now, then free up space (or delete people/samples)."
+    : `Not saved: ${err.message || err}. Export your people list to avoid losing changes.`;
+}
+
+// Another tab's connection holds up an open or a workspace delete (a tab still on an older
+// version of this page): saves and deletes wait for it, meanwhile say why
+const STORE_BLOCKED_TEXT = "Waiting for another tab of this page to close or reload before saving…";
+onStoreBlocked((blocked) => {
+  if (blocked) {
+    storageStatus.hidden = false;
+    storageStatus.textContent = STORE_BLOCKED_TEXT;
+  } else if (storageStatus.textContent === STORE_BLOCKED_TEXT) {
+    storageStatus.hidden = true;
   }
+});
+
+// clusters: false for edits that leave the samples alone (names, groups, thresholds, toggles):
+// regrouping unknown faces re-decodes photos and drops the cards' "Added ✓" notes
+function savePeople({ clusters = true } = {}) {
+  persist(() => dbSavePeople(people, activeWorkspace));
+  syncSelection();
+  renderAll();
+  scheduleRematch({ clusters });
 }
 function saveSelection() {
-  localStorage.setItem("dnu_selection_v2", JSON.stringify(scanSelection));
+  persist(() => dbSaveSelection(scanSelection, activeWorkspace));
+}
+
+// The list starts empty, so anyone in it when loading finishes was added meanwhile (Add,
+// Import, element.scanner): kept after the stored people, with their scan selection
+function keepEarlyPeople(loaded, selection) {
+  const known = new Set(loaded.map((p) => p.id));
+  const early = people.filter((p) => !known.has(p.id));
+  for (const p of early) if (p.id in scanSelection) selection[p.id] = scanSelection[p.id];
+  people = [...loaded, ...early];
+  scanSelection = selection;
+  return early.length;
 }
-function loadSelection() {
+
+async function initStore() {
   try {
-    const raw = localStorage.getItem("dnu_selection_v2");
-    return raw ? JSON.parse(raw) : {};
-  } catch {
-    return {};
+    ({ workspaces, active: activeWorkspace } = await dbLoadWorkspaces());
+    const data = await dbLoadAll(activeWorkspace);
+    const early = keepEarlyPeople(data.people, data.selection);
+    storeReady = true;
+    if (early) persist(() => dbSavePeople(people, activeWorkspace));
+  } catch (e) {
+    // keep working in memory so the page is still usable; warn loudly
+    console.error("IndexedDB unavailable:", e);
+    workspaces = [{ id: DEFAULT_WORKSPACE, name: "Default", createdAt: null }];
+    activeWorkspace = DEFAULT_WORKSPACE;
+    const legacy = readLegacyLocalStorage();
+    keepEarlyPeople(
+      (legacy?.people || []).map((p) => ({ ...p, samples: (p.samples || []).map((x) => normalizeSample(x)) })),
+      legacy?.selection || {}
+    );
+    storageStatus.hidden = false;
+    storageStatus.textContent =
+      `Storage unavailable (${e.message || e}). Changes will NOT be saved — use Export before closing.`;
   }
+  syncSelection();
+  renderWorkspaces();
+  renderAll();
+}
+// Unknown keys (renamed or removed detectors, hand-edited storage) fall back to the default
+function loadDetectorChoice() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem("dnu_detectors_v1") || "{}") || {};
+  } catch {}
+  const pick = (key) => (Object.hasOwn(DETECTORS, key) ? key : DEFAULT_DETECTOR);
+  return { enroll: pick(saved.enroll), scan: pick(saved.scan) };
+}
+function saveDetectorChoice() {
+  localStorage.setItem("dnu_detectors_v1", JSON.stringify(detectorChoice));
 }
 function totalSamples() {
   return people.reduce((sum, p) => sum + (p.samples?.length || 0), 0);
 }
+function samplesLabel(p) {
+  const total = p.samples?.length || 0;
+  const off = total - activeSamples(p).length;
+  const neg = p.negatives?.length || 0;
+  return `${total} sample(s)${off ? ` • ${off} disabled` : ""}${neg ? ` • ${neg} negative` : ""}`;
+}
+function thresholdLabel(p) {
+  if (Number.isFinite(p.threshold)) return `threshold ${p.threshold.toFixed(2)} (override)`;
+  if (Number.isFinite(p.calibration?.threshold)) return `threshold ${p.calibration.threshold.toFixed(2)} (auto)`;
+  return "global threshold";
+}
 function selectedPeople() {
   // default true
   return people.filter((p) => scanSelection[p.id] !== false);
@@ -160,22 +322,6 @@ function syncSelection() {
   saveSelection();
 }
 
-function dist(a, b) {
-  let s = 0;
-  for (let i = 0; i < a.length; i++) {
-    const d = a[i] - b[i];
-    s += d * d;
-  }
-  return Math.sqrt(s);
-}
-
-// UX-only number (not a true probability)
-function distanceToConfidence(d, thr) {
-  const max = thr + 0.25;
-  const clamped = Math.max(0, Math.min(1, 1 - d / max));
-  return Math.round(clamped * 100);
-}
-
 async function fileToImage(file) {
   const url = URL.createObjectURL(file);
   const img = new Image();
@@ -185,126 +331,59 @@ async function fileToImage(file) {
   return img;
 }
 
-function yieldToUI() {
-  return new Promise((r) => setTimeout(r, 0));
-}
-
-// Upscale for better detection of small faces AND cap max dimensions
-function imageToDetectionCanvas(img, targetMinSide, maxDim) {
-  const minSide = Math.min(img.width, img.height);
-  const scaleUp = minSide < targetMinSide ? (targetMinSide / minSide) : 1;
-
-  // cap scale so the resulting canvas doesn't exceed maxDim
-  const maxScaleW = maxDim / img.width;
-  const maxScaleH = maxDim / img.height;
-  const capScale = Math.min(1, maxScaleW, maxScaleH);
-
-  const scale = Math.min(scaleUp, capScale);
-
-  const canvas = document.createElement("canvas");
-  canvas.width = Math.max(1, Math.round(img.width * scale));
-  canvas.height = Math.max(1, Math.round(img.height * scale));
-
-  const ctx = canvas.getContext("2d");
-  ctx.imageSmoothingEnabled = true;
-  ctx.imageSmoothingQuality = "high";
-  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-
-  return { canvas, scale };
-}
-
-async function detectAll(canvasOrImg, detectorOpts) {
-  return await faceapi
-    .detectAllFaces(canvasOrImg, new faceapi.TinyFaceDetectorOptions(detectorOpts))
-    .withFaceLandmarks()
-    .withFaceDescriptors();
-}
-
-// Run detector with fallback if needed
-async function safeDetect(canvas, optsPrimary, optsFallback) {
-  let det = await detectAll(canvas, optsPrimary);
-  if (!det.length && optsFallback) det = await detectAll(canvas, optsFallback);
-  return det;
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // revoke later: some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-// Filters bogus detections (prevents "arm as face")
-function isPlausibleFace(det, detScale, img) {
-  const b = det.detection.box;
-  const score = det.detection.score ?? 0;
-
-  // map to original image coords
-  const w = b.width / detScale;
-  const h = b.height / detScale;
-
-  if (score < MIN_DET_SCORE) return false;
-
-  const minSide = Math.min(w, h);
-  if (minSide < MIN_FACE_PX) return false;
-
-  const ar = w / h;
-  if (ar < MIN_AR || ar > MAX_AR) return false;
-
-  // ignore absurdly huge boxes
-  if (w > img.width * 0.75 || h > img.height * 0.75) return false;
-
-  return true;
+function yieldToUI() {
+  return new Promise((r) => setTimeout(r, 0));
 }
 
-// ✅ Closest match only (or null if no one passes threshold)
-function bestMatchForDescriptor(descriptor, thr) {
-  const pool = selectedPeople();
-
-  let best = null;
-
-  for (const p of pool) {
-    if (!p.samples?.length) continue;
-
-    let bestDist = Infinity;
-
-    for (const s of p.samples) {
-      const d = dist(descriptor, s);
-      if (d < bestDist) bestDist = d;
-      if (bestDist < 0.20) break; // early exit
-    }
-
-    if (!isFinite(bestDist)) continue;
-
-    if (!best || bestDist < best.dist) {
-      best = {
-        personId: p.id,
-        name: p.name,
-        dist: bestDist,
-        confidence: distanceToConfidence(bestDist, thr),
-      };
-    }
+// faces → one best per person (the closest one), in first-seen order
+function closestPerPerson(faces) {
+  const byPerson = new Map();
+  for (const fr of faces) {
+    const prev = byPerson.get(fr.best.personId);
+    if (!prev || fr.best.dist < prev.dist) byPerson.set(fr.best.personId, fr.best);
   }
-
-  if (!best || best.dist > thr) return null;
-  return best;
-}
-
-function dedupeNames(bestMatches) {
-  const set = new Set(bestMatches.map((b) => b.name));
-  return Array.from(set);
+  return Array.from(byPerson.values());
 }
 
 // -------------------- Rendering --------------------
 function clearBuckets() {
   resultsFlagged.innerHTML = "";
+  resultsPossible.innerHTML = "";
   resultsClear.innerHTML = "";
   countFlagged.textContent = "0";
+  countPossible.textContent = "0";
   countClear.textContent = "0";
+  resultsSkipped.innerHTML = "";
+  countSkipped.textContent = "0";
+}
+function clearClusters() {
+  clusterList.innerHTML = "";
+  countUnknown.textContent = "0";
 }
 
 function updateButtons() {
   btnAddPerson.disabled = !personName.value.trim();
+  btnCalibrate.disabled = !people.some((p) => activeSamples(p).length >= CALIBRATION_MIN_SAMPLES);
 
   const pool = selectedPeople();
-  const poolSamples = pool.reduce((s, p) => s + (p.samples?.length || 0), 0);
+  const poolSamples = pool.reduce((s, p) => s + activeSamples(p).length, 0);
 
   btnScan.disabled =
+    scanRunning ||
     !modelsReady ||
-    (scanInput.files?.length || 0) === 0 ||
+    scanItems.length === 0 ||
     pool.length === 0 ||
     poolSamples === 0;
 }
@@ -338,7 +417,8 @@ function renderPeople() {
     const left = document.createElement("div");
     left.innerHTML = `
       <div class="person__name">${escapeHtml(p.name)}</div>
-      <div class="person__meta">${(p.samples?.length || 0)} sample(s)</div>
+      <div class="person__meta">${samplesLabel(p)}</div>
+      <div class="person__meta">${thresholdLabel(p)}</div>
     `;
 
     const right = document.createElement("div");
@@ -365,6 +445,12 @@ function renderPeople() {
       setStatus(enrollStatus, `Selected: ${p.name}. Upload photos and click face crops to add samples.`);
     };
 
+    const samplesBtn = document.createElement("button");
+    samplesBtn.className = "btn btn--ghost";
+    samplesBtn.textContent = "Samples";
+    samplesBtn.disabled = !p.samples?.length && !p.negatives?.length;
+    samplesBtn.onclick = () => openSampleGallery(p.id);
+
     const clearSamplesBtn = document.createElement("button");
     clearSamplesBtn.className = "btn btn--ghost";
     clearSamplesBtn.textContent = "Clear Samples";
@@ -375,16 +461,123 @@ function renderPeople() {
     };
 
     actions.appendChild(selectBtn);
+    actions.appendChild(samplesBtn);
     actions.appendChild(clearSamplesBtn);
 
     card.appendChild(top);
     card.appendChild(actions);
+    card.appendChild(renderPersonThreshold(p));
+    card.appendChild(renderPersonTags(p));
     peopleList.appendChild(card);
   }
 }
 
+// Override input + what calibration suggested (empty input = use calibrated/global)
+function renderPersonThreshold(p) {
+  const row = document.createElement("div");
+  row.className = "person__thr";
+
+  const input = document.createElement("input");
+  input.className = "input input--sm";
+  input.type = "number";
+  input.min = String(PERSON_THRESHOLD_MIN);
+  input.max = String(PERSON_THRESHOLD_MAX);
+  input.step = "0.01";
+  input.title = "Per-person threshold override (empty = auto/global)";
+  input.placeholder = personThreshold(p)?.toFixed(2) ?? "global";
+  input.value = Number.isFinite(p.threshold) ? p.threshold.toFixed(2) : "";
+  input.onchange = () => {
+    const v = parseFloat(input.value);
+    if (input.value.trim() === "") p.threshold = null;
+    else if (Number.isFinite(v) && v >= PERSON_THRESHOLD_MIN && v <= PERSON_THRESHOLD_MAX) p.threshold = +v.toFixed(2);
+    else {
+      setStatus(enrollStatus, `Threshold must be between ${PERSON_THRESHOLD_MIN} and ${PERSON_THRESHOLD_MAX}.`);
+      input.value = Number.isFinite(p.threshold) ? p.threshold.toFixed(2) : "";
+      return;
+    }
+    savePeople({ clusters: false });
+  };
+
+  const reset = document.createElement("button");
+  reset.className = "btn btn--ghost btn--sm";
+  reset.textContent = "Use global";
+  reset.disabled = personThreshold(p) == null;
+  reset.onclick = () => {
+    p.threshold = null;
+    p.calibration = null;
+    savePeople({ clusters: false });
+  };
+
+  const info = document.createElement("div");
+  info.className = "person__meta";
+  info.textContent = calibrationLabel(p);
+
+  row.appendChild(input);
+  row.appendChild(reset);
+  row.appendChild(info);
+  return row;
+}
+
+// Groups, comma-separated (the scan filter can pick a whole group)
+function renderPersonTags(p) {
+  const row = document.createElement("div");
+  row.className = "person__tags";
+
+  const input = document.createElement("input");
+  input.className = "input";
+  input.placeholder = "Groups (e.g. Class 3B, Staff)";
+  input.title = "Comma-separated groups";
+  input.value = (p.tags || []).join(", ");
+  input.onchange = () => {
+    p.tags = normalizeTags(input.value);
+    savePeople({ clusters: false });
+  };
+
+  row.appendChild(input);
+  return row;
+}
+
+function calibrationLabel(p) {
+  const c = p.calibration;
+  if (!c) return "Not calibrated";
+  const parts = [`suggested ${c.threshold.toFixed(2)}`, `own ≤ ${c.genuine.toFixed(2)}`];
+  if (c.impostor != null) parts.push(`nearest other ${c.impostor.toFixed(2)}`);
+  if (c.overlap) parts.push("⚠ overlaps another person");
+  if (c.samples !== activeSamples(p).length) parts.push("samples changed, re-calibrate");
+  return parts.join(" • ");
+}
+
+// Every person against everyone else (all enrolled people, not just the scan selection)
+function calibrateAll() {
+  let done = 0;
+  const skipped = [];
+
+  for (const p of people) {
+    const own = activeSamples(p).map((s) => s.descriptor);
+    const others = people
+      .filter((o) => o.id !== p.id)
+      .flatMap((o) => activeSamples(o).map((s) => s.descriptor));
+
+    const result = calibrateThreshold(own, others);
+    if (!result) {
+      skipped.push(p.name);
+      continue;
+    }
+    p.calibration = { ...result, samples: own.length, at: new Date().toISOString() };
+    done++;
+  }
+
+  savePeople({ clusters: false });
+  setStatus(
+    enrollStatus,
+    `Calibrated ${done} of ${people.length} people.` +
+      (skipped.length ? ` Need ${CALIBRATION_MIN_SAMPLES}+ active samples: ${skipped.join(", ")}.` : "")
+  );
+}
+
 function renderScanPeople() {
   scanPeople.innerHTML = "";
+  renderScanGroups();
 
   if (!people.length) {
     const div = document.createElement("div");
@@ -405,6 +598,7 @@ function renderScanPeople() {
       scanSelection[p.id] = box.checked;
       saveSelection();
       updateButtons();
+      scheduleRematch();
     };
 
     const name = document.createElement("div");
@@ -413,7 +607,9 @@ function renderScanPeople() {
 
     const meta = document.createElement("div");
     meta.className = "chk__meta";
-    meta.textContent = `${p.samples?.length || 0} samples`;
+    meta.textContent = `${activeSamples(p).length} samples` +
+      (personThreshold(p) != null ? ` • ${personThreshold(p).toFixed(2)}` : "") +
+      (p.tags?.length ? ` • ${p.tags.join(", ")}` : "");
 
     row.appendChild(box);
     row.appendChild(name);
@@ -422,6 +618,33 @@ function renderScanPeople() {
   }
 }
 
+// One chip per group: click = scan against that group only; Shift/Ctrl-click = add it.
+// A chip is lit while all of its people are checked.
+function renderScanGroups() {
+  scanGroups.innerHTML = "";
+
+  for (const { tag, count } of groupCounts(people)) {
+    const members = people.filter((p) => hasTag(p, tag));
+    const chip = document.createElement("button");
+    chip.className = "btn btn--ghost btn--sm filter__group";
+    chip.classList.toggle("is-on", members.every((p) => scanSelection[p.id] !== false));
+    chip.textContent = `${tag} (${count})`;
+    chip.title = `Scan against ${tag} only (Shift-click: add to the selection)`;
+    chip.onclick = (e) => {
+      const add = e.shiftKey || e.ctrlKey || e.metaKey;
+      for (const p of people) {
+        if (hasTag(p, tag)) scanSelection[p.id] = true;
+        else if (!add) scanSelection[p.id] = false;
+      }
+      saveSelection();
+      renderScanPeople();
+      updateButtons();
+      scheduleRematch();
+    };
+    scanGroups.appendChild(chip);
+  }
+}
+
 function renderAll() {
   renderPeople();
   renderScanPeople();
@@ -433,25 +656,63 @@ renderAll();
 async function loadModels() {
   setStatus(modelStatus, "Loading models…");
   try {
-    await faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL);
-    await faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL);
-    await faceapi.nets.faceRecognitionNet.loadFromUri(MODEL_URL);
+    await ensureDetector(detectorChoice.enroll, MODEL_URL);
+    await ensureFaceNets(MODEL_URL);
 
     modelsReady = true;
     setStatus(modelStatus, "Models loaded ✓");
   } catch (e) {
     console.error(e);
     modelsReady = false;
-    setStatus(modelStatus, "Model load failed. Check /models and that .bin files exist.");
+    setStatus(modelStatus, `Model load failed. Check ${MODEL_URL} and that .bin files exist.`);
   }
   updateButtons();
 }
 loadModels();
 
+// -------------------- Detector selects --------------------
+function renderDetectorSelect(selectEl, phase) {
+  selectEl.innerHTML = "";
+  for (const [key, d] of Object.entries(DETECTORS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = d.label;
+    selectEl.appendChild(opt);
+  }
+  if (!DETECTORS[detectorChoice[phase]]) detectorChoice[phase] = DEFAULT_DETECTOR;
+  selectEl.value = detectorChoice[phase];
+
+  selectEl.addEventListener("change", async () => {
+    const key = selectEl.value;
+    detectorChoice[phase] = key;
+    saveDetectorChoice();
+    if (!modelsReady) return; // loadModels picks it up
+    if (phase === "scan" && SCAN_IN_WORKER) return; // the worker loads it when a scan starts
+    setStatus(modelStatus, `Loading ${DETECTORS[key].label}…`);
+    try {
+      await ensureDetector(key, MODEL_URL);
+      setStatus(modelStatus, "Models loaded ✓");
+    } catch (e) {
+      console.error(e);
+      setStatus(modelStatus, `Failed to load ${DETECTORS[key].label}. Check ${MODEL_URL}.`);
+    }
+  });
+}
+renderDetectorSelect(enrollDetector, "enroll");
+renderDetectorSelect(scanDetector, "scan");
+
 // -------------------- Defaults --------------------
 if (threshold) {
-  threshold.value = String(DEFAULT_THRESHOLD);
-  thrVal.textContent = String(DEFAULT_THRESHOLD);
+  threshold.value = String(scannerHost?.threshold ?? DEFAULT_THRESHOLD);
+  thrVal.textContent = threshold.value;
+}
+if (borderline) {
+  borderline.value = String(DEFAULT_BORDERLINE);
+  bandVal.textContent = String(DEFAULT_BORDERLINE);
+}
+if (ambiguity) {
+  ambiguity.value = String(DEFAULT_AMBIGUITY);
+  marginVal.textContent = String(DEFAULT_AMBIGUITY);
 }
 
 // -------------------- People controls --------------------
@@ -462,19 +723,22 @@ btnAddPerson.addEventListener("click", () => {
   if (!name) return;
   people.push({ id: uid(), name, samples: [] });
   personName.value = "";
-  savePeople();
+  savePeople({ clusters: false });
 });
 
+btnCalibrate.addEventListener("click", calibrateAll);
+
 btnClearAll.addEventListener("click", () => {
   people = [];
   scanSelection = {};
-  localStorage.removeItem("dnu_people_v2");
-  localStorage.removeItem("dnu_selection_v2");
+  detectionCache.clear();
+  persist(() => dbClearAll(activeWorkspace));
   renderAll();
   setStatus(enrollStatus, "Cleared.");
   setStatus(scanStatus, "Cleared.");
   crops.innerHTML = "";
   clearBuckets();
+  clearClusters();
   clearPreview();
 });
 
@@ -483,21 +747,241 @@ btnAll.addEventListener("click", () => {
   saveSelection();
   renderScanPeople();
   updateButtons();
+  scheduleRematch();
 });
 btnNone.addEventListener("click", () => {
   for (const p of people) scanSelection[p.id] = false;
   saveSelection();
   renderScanPeople();
   updateButtons();
+  scheduleRematch();
+});
+
+// -------------------- Workspaces --------------------
+// Independent people lists (store.js keeps each in its own database). Switching keeps the
+// last scan and re-sorts it against the new list, like any other people edit.
+const WORKSPACE_NAME_MAX = 60;
+const offlineWorkspaces = new Map(); // id → { people, selection } while storage is unavailable
+
+function renderWorkspaces() {
+  workspaceSelect.innerHTML = "";
+  for (const w of workspaces) {
+    const opt = document.createElement("option");
+    opt.value = w.id;
+    opt.textContent = w.name;
+    workspaceSelect.appendChild(opt);
+  }
+  workspaceSelect.value = activeWorkspace;
+  btnWorkspaceDelete.disabled = workspaces.length < 2;
+}
+
+function saveWorkspaces() {
+  persist(() => dbSaveWorkspaces(workspaces, activeWorkspace));
+}
+
+function workspaceById(id) {
+  return workspaces.find((w) => w.id === id) || null;
+}
+
+// scans, bulk and camera enrollment write into the people list they started with
+function workspaceBusy() {
+  if (scanRunning || bulkRunning || cameraSession) {
+    setStatus(enrollStatus, "Finish or cancel the running scan / enrollment before changing workspaces.");
+    return true;
+  }
+  return false;
+}
+
+// → error text, or "" when the name is usable
+function workspaceNameError(name, exceptId = null) {
+  if (!name) return "Enter a name.";
+  if (workspaces.some((w) => w.id !== exceptId && nameKey(w.name) === nameKey(name))) {
+    return "A workspace with this name already exists.";
+  }
+  return "";
+}
+
+// Resolves with the (trimmed) name — true when there is no name field — or null when cancelled
+function askWorkspace({ title, text = "", ok, name = null, exceptId = null }) {
+  return new Promise((resolve) => {
+    setStatus(workspaceDialogTitle, title);
+    setStatus(workspaceDialogText, text);
+    setStatus(workspaceError, "");
+    btnWorkspaceOk.textContent = ok;
+    btnWorkspaceOk.className = `btn ${name == null ? "btn--danger" : "btn--primary"}`;
+    workspaceName.hidden = name == null;
+    workspaceName.value = name ?? "";
+    workspaceDialog.showModal();
+    if (name != null) workspaceName.select();
+
+    const done = (value) => {
+      btnWorkspaceOk.onclick = null;
+      btnWorkspaceCancel.onclick = null;
+      workspaceDialog.onclose = null;
+      workspaceDialog.close();
+      resolve(value);
+    };
+    btnWorkspaceOk.onclick = () => {
+      if (name == null) return done(true);
+      const value = workspaceName.value.trim().replace(/\s+/g, " ").slice(0, WORKSPACE_NAME_MAX);
+      const error = workspaceNameError(value, exceptId);
+      if (error) return setStatus(workspaceError, error);
+      done(value);
+    };
+    btnWorkspaceCancel.onclick = () => done(null);
+    workspaceDialog.onclose = () => done(null);
+  });
+}
+workspaceName.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") btnWorkspaceOk.click();
+});
+
+// → false when the workspace couldn't be loaded (the current one stays open)
+async function openWorkspace(id) {
+  let data;
+  if (storeReady) {
+    try {
+      data = await dbLoadAll(id);
+    } catch (e) {
+      showStorageError(e);
+      renderWorkspaces();
+      return false;
+    }
+  } else {
+    offlineWorkspaces.set(activeWorkspace, { people, selection: scanSelection });
+    data = offlineWorkspaces.get(id) || { people: [], selection: {} };
+  }
+
+  activeWorkspace = id;
+  people = data.people;
+  scanSelection = data.selection;
+  saveWorkspaces();
+
+  // crop tiles add to the person they were cut for, who belongs to the old list
+  crops.innerHTML = "";
+  setStatus(enrollStatus, `Workspace: ${workspaceById(id)?.name}. ${people.length} people.`);
+  syncSelection();
+  renderWorkspaces();
+  renderAll();
+  scheduleRematch();
+  return true;
+}
+
+// new: empty; copy: the active workspace's people + selection
+async function createWorkspace(name, { copy = false } = {}) {
+  const ws = { id: uid(), name, createdAt: new Date().toISOString() };
+  if (copy) {
+    const list = JSON.parse(JSON.stringify(people));
+    const selection = { ...scanSelection };
+    if (storeReady) {
+      try {
+        await dbSavePeople(list, ws.id);
+        await dbSaveSelection(selection, ws.id);
+      } catch (e) {
+        showStorageError(e);
+        dbDeleteWorkspace(ws.id).catch(() => {});
+        return;
+      }
+    } else {
+      offlineWorkspaces.set(ws.id, { people: list, selection });
+    }
+  }
+  workspaces.push(ws);
+  if (!(await openWorkspace(ws.id))) {
+    workspaces.pop();
+    renderWorkspaces();
+  }
+}
+
+workspaceSelect.addEventListener("change", () => {
+  const id = workspaceSelect.value;
+  if (id === activeWorkspace) return;
+  if (workspaceBusy()) return renderWorkspaces();
+  openWorkspace(id);
+});
+
+btnWorkspaceNew.addEventListener("click", async () => {
+  if (workspaceBusy()) return;
+  const name = await askWorkspace({
+    title: "New workspace",
+    text: "An empty people list with its own samples and scan selection.",
+    ok: "Create",
+    name: "",
+  });
+  if (name) await createWorkspace(name);
+});
+
+btnWorkspaceDuplicate.addEventListener("click", async () => {
+  if (workspaceBusy()) return;
+  const current = workspaceById(activeWorkspace);
+  const name = await askWorkspace({
+    title: "Duplicate workspace",
+    text: `Copies ${people.length} people (with samples, groups and thresholds) from “${current?.name}”.`,
+    ok: "Duplicate",
+    name: `${current?.name || "Workspace"} (copy)`,
+  });
+  if (name) await createWorkspace(name, { copy: true });
+});
+
+btnWorkspaceRename.addEventListener("click", async () => {
+  const current = workspaceById(activeWorkspace);
+  if (!current) return;
+  const name = await askWorkspace({ title: "Rename workspace", ok: "Rename", name: current.name, exceptId: current.id });
+  if (!name) return;
+  current.name = name;
+  saveWorkspaces();
+  renderWorkspaces();
+});
+
+btnWorkspaceDelete.addEventListener("click", async () => {
+  if (workspaces.length < 2 || workspaceBusy()) return;
+  const doomed = workspaceById(activeWorkspace);
+  const ok = await askWorkspace({
+    title: "Delete workspace",
+    text: `Deletes “${doomed.name}” and its ${people.length} people with all their samples. Export it first to keep a copy.`,
+    ok: "Delete",
+  });
+  if (!ok) return;
+
+  const next = workspaces.find((w) => w.id !== doomed.id);
+  if (!(await openWorkspace(next.id))) return;
+  if (storeReady) {
+    // waits while another tab still has it open (see onStoreBlocked); stays listed if it fails
+    try {
+      await dbDeleteWorkspace(doomed.id);
+    } catch (e) {
+      showStorageError(e);
+      return;
+    }
+  }
+  workspaces = workspaces.filter((w) => w !== doomed);
+  offlineWorkspaces.delete(doomed.id);
+  saveWorkspaces();
+  renderWorkspaces();
+  setStatus(enrollStatus, `Deleted workspace “${doomed.name}”. Now in ${next.name}.`);
 });
 
 // -------------------- Threshold UI --------------------
+// buckets follow the sliders live; unknown-face groups only once the slider is let go
 threshold.addEventListener("input", () => {
   thrVal.textContent = threshold.value;
+  scheduleRematch({ clusters: false });
+});
+borderline.addEventListener("input", () => {
+  bandVal.textContent = borderline.value;
+  scheduleRematch({ clusters: false });
+});
+ambiguity.addEventListener("input", () => {
+  marginVal.textContent = ambiguity.value;
+  scheduleRematch({ clusters: false });
 });
+for (const slider of [threshold, borderline, ambiguity]) {
+  slider.addEventListener("change", () => scheduleRematch());
+}
 
 // -------------------- Dropzone --------------------
-function setupDropzone(dropEl, onFiles) {
+// folders: true → onFiles gets [{file, path}] with directories walked recursively
+function setupDropzone(dropEl, onFiles, { folders = false } = {}) {
   dropEl.addEventListener("dragover", (e) => {
     e.preventDefault();
     dropEl.classList.add("dragover");
@@ -506,10 +990,96 @@ function setupDropzone(dropEl, onFiles) {
   dropEl.addEventListener("drop", (e) => {
     e.preventDefault();
     dropEl.classList.remove("dragover");
+    if (folders) {
+      collectDroppedItems(e.dataTransfer).then(onFiles, (err) => console.warn("Drop failed:", err));
+      return;
+    }
     const files = Array.from(e.dataTransfer.files || []).filter((f) => f.type.startsWith("image/"));
     onFiles(files);
   });
 }
+
+// -------------------- Folders --------------------
+const IMAGE_EXT = /\.(jpe?g|png|webp|gif|bmp|avif|heic|heif)$/i;
+
+function isImageFile(file) {
+  return file.type ? file.type.startsWith("image/") : IMAGE_EXT.test(file.name);
+}
+// scans also take video clips (video.js); enrollment stays photos-only
+function isScanFile(file) {
+  return isImageFile(file) || isVideoFile(file);
+}
+
+function byPath(a, b) {
+  return a.path.localeCompare(b.path, undefined, { numeric: true });
+}
+
+// Drag & drop: entries must be grabbed synchronously, before the first await
+async function collectDroppedItems(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((it) => it.kind === "file")
+    .map((it) => it.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (!entries.length) {
+    return Array.from(dataTransfer.files || []).filter(isScanFile).map((file) => ({ file, path: file.name }));
+  }
+
+  const out = [];
+  for (const entry of entries) await walkEntry(entry, "", out);
+  return out.sort(byPath);
+}
+
+async function walkEntry(entry, prefix, out) {
+  const path = prefix + entry.name;
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    if (isScanFile(file)) out.push({ file, path });
+    return;
+  }
+  if (!entry.isDirectory) return;
+
+  // readEntries returns batches (≈100); keep reading until empty
+  const reader = entry.createReader();
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) break;
+    for (const child of batch) await walkEntry(child, `${path}/`, out);
+  }
+}
+
+// File System Access API (showDirectoryPicker)
+async function walkDirectoryHandle(dir, prefix, out, accept = isImageFile) {
+  for await (const handle of dir.values()) {
+    const path = prefix + handle.name;
+    if (handle.kind === "directory") await walkDirectoryHandle(handle, `${path}/`, out, accept);
+    else {
+      const file = await handle.getFile();
+      if (accept(file)) out.push({ file, path });
+    }
+  }
+  return out;
+}
+
+// "12 photo(s) + 2 video(s)"
+function mediaCountLabel(files) {
+  const videos = files.filter(isVideoFile).length;
+  const photos = files.length - videos;
+  if (!videos) return `${photos} photo(s)`;
+  return photos ? `${photos} photo(s) + ${videos} video(s)` : `${videos} video(s)`;
+}
+
+function setScanItems(items, source) {
+  scanItems = items;
+  const folders = new Set(items.map((it) => it.path.split("/").slice(0, -1).join("/")).filter(Boolean));
+  setStatus(
+    scanQueueInfo,
+    items.length
+      ? `${mediaCountLabel(items.map((it) => it.file))} ready${folders.size ? ` from ${folders.size} folder(s)` : ""} (${source}).`
+      : "No photos or videos found."
+  );
+  updateButtons();
+}
 setupDropzone(enrollDrop, async (files) => {
   if (!files.length) return;
   await handleEnrollFiles(files);
@@ -522,6 +1092,11 @@ enrollInput.addEventListener("change", async () => {
   enrollInput.value = "";
 });
 
+// the sample shape saved for a person: newSample (people-io.js); crops: faceThumb (scanner-api.js)
+function sampleFromDetection(det, thumb, source) {
+  return newSample(det.descriptor, thumb, source, det.detection.score);
+}
+
 async function handleEnrollFiles(files) {
   if (!modelsReady) return setStatus(enrollStatus, "Models not ready yet.");
   const pid = personSelect.value;
@@ -530,9 +1105,21 @@ async function handleEnrollFiles(files) {
   const person = people.find((p) => p.id === pid);
   if (!person) return setStatus(enrollStatus, "Selected person not found.");
 
+  const detectorKey = detectorChoice.enroll;
+  try {
+    await ensureDetector(detectorKey, MODEL_URL);
+  } catch (e) {
+    console.error(e);
+    return setStatus(enrollStatus, `Could not load ${DETECTORS[detectorKey].label} weights.`);
+  }
+
   crops.innerHTML = "";
   setStatus(enrollStatus, `Detecting faces for: ${person.name}…`);
 
+  // quality checks compare against what's enrolled right now
+  const others = toMatchPool(people.filter((p) => p.id !== person.id));
+  const personThr = personThreshold(person) ?? parseFloat(threshold.value);
+
   let found = 0;
 
   for (const file of files) {
@@ -550,7 +1137,7 @@ async function handleEnrollFiles(files) {
 
       const { canvas, scale } = imageToDetectionCanvas(img, ENROLL_MIN_SIDE, MAX_DIM_ENROLL);
 
-      let detections = await safeDetect(canvas, DETECTOR_ENROLL, DETECTOR_FALLBACK);
+      let detections = await safeDetect(canvas, detectorKey, "enroll");
       if (!detections.length) continue;
 
       const trimmed = detections.slice(0, MAX_FACES_PER_IMAGE);
@@ -559,28 +1146,20 @@ async function handleEnrollFiles(files) {
         if (!isPlausibleFace(det, scale, img)) continue;
 
         found++;
-        const box = det.detection.box;
-
-        // map detection coords (scaled canvas) back to original
-        const ox = box.x / scale;
-        const oy = box.y / scale;
-        const ow = box.width / scale;
-        const oh = box.height / scale;
+        const box = originalBox(det, scale);
+        const dataUrl = faceThumb(img, box);
 
-        // generous padding so descriptor sees more of the face
-        const pad = Math.max(12, Math.round(Math.min(ow, oh) * 0.18));
-        const x = Math.max(0, Math.floor(ox - pad));
-        const y = Math.max(0, Math.floor(oy - pad));
-        const w = Math.min(img.width - x, Math.floor(ow + pad * 2));
-        const h = Math.min(img.height - y, Math.floor(oh + pad * 2));
+        const quality = assessEnrollCrop({
+          image: img,
+          box,
+          landmarks: det.landmarks.positions,
+          descriptor: det.descriptor,
+          own: activeSamples(person).map((s) => s.descriptor),
+          others,
+          thr: personThr,
+        });
 
-        const crop = document.createElement("canvas");
-        crop.width = 180;
-        crop.height = 180;
-        crop.getContext("2d").drawImage(img, x, y, w, h, 0, 0, crop.width, crop.height);
-        const dataUrl = crop.toDataURL("image/jpeg", 0.86);
-
-        const descriptor = Array.from(det.descriptor);
+        const sample = sampleFromDetection(det, dataUrl, file.name);
 
         const tile = document.createElement("div");
         tile.className = "crop";
@@ -588,10 +1167,19 @@ async function handleEnrollFiles(files) {
         const im = document.createElement("img");
         im.src = dataUrl;
 
+        const q = document.createElement("div");
+        q.className = `crop__quality crop__quality--${quality.rating}`;
+        q.textContent = quality.issues.length
+          ? `${quality.rating.toUpperCase()}: ${quality.issues.map((i) => i.text).join(" • ")}`
+          : "GOOD";
+        q.title =
+          `Sharpness ${Math.round(quality.sharpness)} • yaw ${Math.round(quality.pose.yaw)}° • ` +
+          `pitch ${Math.round(quality.pose.pitch)}° • roll ${Math.round(quality.pose.roll)}°`;
+
         const btn = document.createElement("button");
-        btn.textContent = "Add sample";
+        btn.textContent = quality.rating === "poor" ? "Add anyway" : "Add sample";
         btn.onclick = () => {
-          person.samples.push(descriptor);
+          person.samples.push(sample);
           savePeople();
           btn.textContent = "Added ✓";
           btn.classList.add("added");
@@ -600,6 +1188,7 @@ async function handleEnrollFiles(files) {
         };
 
         tile.appendChild(im);
+        tile.appendChild(q);
         tile.appendChild(btn);
         crops.appendChild(tile);
       }
@@ -622,222 +1211,2462 @@ async function handleEnrollFiles(files) {
   }
 }
 
-// -------------------- Scan --------------------
-scanInput.addEventListener("change", updateButtons);
+// -------------------- Bulk enroll --------------------
+// <picked folder>/<person name>/**/photo.jpg → one sample per photo (its single dominant face)
+const BULK_MIN_SAMPLES = 3; // fewer active samples than this → listed in the summary
+
+let bulkRunning = false;
+
+// items: [{file, path}] with paths starting at the picked folder
+function groupByPersonFolder(items) {
+  const groups = new Map(); // folder name → items
+  const stray = [];
+  for (const it of items) {
+    const parts = it.path.split("/");
+    const name = parts.length >= 3 ? parts[1].trim() : "";
+    if (!name) {
+      stray.push(it);
+      continue;
+    }
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(it);
+  }
+  return { groups, stray };
+}
 
-btnScan.addEventListener("click", async () => {
-  if (!modelsReady) return setStatus(scanStatus, "Models not ready yet.");
+async function bulkEnroll(items, rootName) {
+  if (!modelsReady) return setStatus(enrollStatus, "Models not ready yet.");
+  if (bulkRunning) return;
 
-  const files = Array.from(scanInput.files || []);
-  if (!files.length) return;
+  const detectorKey = detectorChoice.enroll;
+  try {
+    await ensureDetector(detectorKey, MODEL_URL);
+  } catch (e) {
+    console.error(e);
+    return setStatus(enrollStatus, `Could not load ${DETECTORS[detectorKey].label} weights.`);
+  }
 
-  const pool = selectedPeople();
-  const poolSamples = pool.reduce((s, p) => s + (p.samples?.length || 0), 0);
-  if (!pool.length || poolSamples === 0) {
-    return setStatus(scanStatus, "No selected people with samples. Check filters and enroll samples first.");
+  const { groups, stray } = groupByPersonFolder(items);
+  if (!groups.size) {
+    return setStatus(enrollStatus, `No person subfolders with photos in ${rootName}.`);
   }
 
-  const thr = parseFloat(threshold.value);
+  bulkRunning = true;
+  btnBulkEnroll.disabled = true;
+  crops.innerHTML = "";
+  try {
 
-  clearBuckets();
-  setStatus(scanStatus, `Scanning ${files.length} photo(s)…`);
+    const summary = {
+      created: [],
+      added: 0,
+      touched: [],
+      skipped: stray.map((it) => ({ path: it.path, reason: "not inside a person folder" })),
+    };
+    const total = items.length - stray.length;
+    let done = 0;
+
+    for (const [name, files] of groups) {
+      const matches = people.filter((p) => nameKey(p.name) === nameKey(name));
+      if (matches.length > 1) {
+        for (const it of files) summary.skipped.push({ path: it.path, reason: `${matches.length} people are named "${name}"` });
+        done += files.length;
+        continue;
+      }
 
-  let flaggedCount = 0;
-  let clearCount = 0;
+      let person = matches[0];
+      if (!person) {
+        person = { id: uid(), name, samples: [] };
+        people.push(person);
+        summary.created.push(name);
+      }
+      summary.touched.push(person);
+
+      for (const it of files) {
+        done++;
+        setStatus(enrollStatus, `Bulk enroll: ${done}/${total} • ${name}…`);
+        tfScopeStart();
+
+        try {
+          const img = await fileToImage(it.file);
+          if ((img.width * img.height) / 1_000_000 > MAX_MEGAPIXELS) {
+            summary.skipped.push({ path: it.path, reason: `larger than ${MAX_MEGAPIXELS} MP` });
+            continue;
+          }
+
+          const { canvas, scale } = imageToDetectionCanvas(img, ENROLL_MIN_SIDE, MAX_DIM_ENROLL);
+          const detections = await safeDetect(canvas, detectorKey, "enroll");
+          const pick = dominantFace(detections.slice(0, MAX_FACES_PER_IMAGE), scale, img);
+          if (!pick.det) {
+            summary.skipped.push({ path: it.path, reason: pick.reason });
+            continue;
+          }
+
+          const sample = sampleFromDetection(pick.det, faceThumb(img, originalBox(pick.det, scale)), it.path);
+          if (!dedupeSamples([sample], person.samples).length) {
+            summary.skipped.push({ path: it.path, reason: "already enrolled" });
+            continue;
+          }
+          person.samples.push(sample);
+          summary.added++;
+        } catch (e) {
+          console.warn("Bulk enroll failed:", it.path, e);
+          summary.skipped.push({ path: it.path, reason: "could not read image" });
+        } finally {
+          tfScopeEnd();
+          await tfYield();
+          await yieldToUI();
+        }
+      }
 
-  for (let i = 0; i < files.length; i++) {
+      // save per person so a long run isn't lost halfway; unknown faces are regrouped once,
+      // at the end
+      savePeople({ clusters: false });
+    }
+    savePeople();
+
+    setStatus(
+      enrollStatus,
+      `Bulk enroll done: ${summary.added} sample(s) added, ${summary.created.length} new people, ${summary.skipped.length} photo(s) skipped.`
+    );
+    showBulkSummary(rootName, summary);
+  } finally {
+    bulkRunning = false;
+    btnBulkEnroll.disabled = false;
+  }
+}
+
+function showBulkSummary(rootName, summary) {
+  const short = summary.touched.filter((p) => activeSamples(p).length < BULK_MIN_SAMPLES);
+  const list = (items) => `<ul>${items.map((t) => `<li>${escapeHtml(t)}</li>`).join("")}</ul>`;
+  const blocks = [];
+
+  setStatus(bulkSource, `${rootName} • ${summary.touched.length} person folder(s)`);
+
+  blocks.push(`<div class="import__line"><b>Added</b> ${summary.added} sample(s)</div>`);
+  blocks.push(`<div class="import__line"><b>Created</b> ${summary.created.length} people</div>`);
+  if (summary.created.length) blocks.push(list(summary.created));
+  if (short.length) {
+    blocks.push(`<div class="import__line tag--warn"><b>Too few samples</b> (under ${BULK_MIN_SAMPLES}): ${short.length} people</div>`);
+    blocks.push(list(short.map((p) => `${p.name}: ${activeSamples(p).length}`)));
+  }
+  bulkSummary.innerHTML = blocks.join("");
+
+  bulkSkippedWrap.hidden = !summary.skipped.length;
+  bulkSkippedSummary.textContent = `${summary.skipped.length} photo(s) skipped`;
+  bulkSkipped.innerHTML = summary.skipped.map((s) => `<li>${escapeHtml(s.path)} — ${escapeHtml(s.reason)}</li>`).join("");
+
+  bulkDialog.showModal();
+}
+
+bulkFolderInput.addEventListener("change", () => {
+  const files = Array.from(bulkFolderInput.files || []).filter(isImageFile);
+  const items = files.map((file) => ({ file, path: file.webkitRelativePath || file.name })).sort(byPath);
+  bulkFolderInput.value = "";
+  if (items.length) bulkEnroll(items, items[0].path.split("/")[0]);
+});
+
+btnBulkEnroll.addEventListener("click", async () => {
+  if (!window.showDirectoryPicker) return bulkFolderInput.click();
+  let dir;
+  try {
+    dir = await window.showDirectoryPicker({ mode: "read" });
+  } catch (e) {
+    if (e?.name !== "AbortError") console.warn("Folder picker failed:", e);
+    return;
+  }
+  setStatus(enrollStatus, `Reading ${dir.name}…`);
+  try {
+    const items = await walkDirectoryHandle(dir, `${dir.name}/`, []);
+    await bulkEnroll(items.sort(byPath), dir.name);
+  } catch (e) {
+    console.warn("Reading folder failed:", e);
+    setStatus(enrollStatus, `Could not read ${dir.name}.`);
+  }
+});
+
+btnCloseBulk.addEventListener("click", () => bulkDialog.close());
+
+// -------------------- Camera enroll --------------------
+// Live detection on a camera stream, walking the subject through a few head poses.
+// Each pose is captured once it's held for a few frames and passes the crop quality
+// check; the set is saved to the person at the end (Finish saves what's captured so far).
+// startCameraEnroll(stream) takes any MediaStream, e.g. canvas.captureStream() or a
+// recorded clip's video.captureStream(), so it can be driven without a camera.
+const CAMERA_HOLD_FRAMES = 3;  // consecutive detections in the target pose
+const CAMERA_FRAME_GAP = 120;  // ms between live detections
+
+// yaw/pitch as estimateHeadPose reports them on the raw (unmirrored) frame:
+// the subject turning to their own left shows up as yaw > 0
+const CAMERA_POSES = [
+  { key: "front", prompt: "Look straight at the camera", fits: (p) => Math.abs(p.yaw) < 10 && Math.abs(p.pitch) < 10 },
+  { key: "left", prompt: "Turn your head a little to your left", fits: (p) => p.yaw >= 12 && p.yaw <= 32 && Math.abs(p.pitch) < 15 },
+  { key: "right", prompt: "Turn your head a little to your right", fits: (p) => p.yaw <= -12 && p.yaw >= -32 && Math.abs(p.pitch) < 15 },
+  { key: "up", prompt: "Tilt your chin up a little", fits: (p) => p.pitch >= 8 && p.pitch <= 25 && Math.abs(p.yaw) < 15 },
+];
+
+let cameraSession = null; // { person, stream, step, held, captures: [{ pose, sample } | null], stop }
+
+function openCameraStream() {
+  if (!navigator.mediaDevices?.getUserMedia) throw new Error("This browser has no camera access");
+  return navigator.mediaDevices.getUserMedia({
+    video: { facingMode: "user", width: { ideal: 1280 }, height: { ideal: 720 } },
+    audio: false,
+  });
+}
+
+async function startCameraEnroll(stream = null) {
+  if (!modelsReady) return setStatus(enrollStatus, "Models not ready yet.");
+  if (cameraSession) return;
+  const person = people.find((p) => p.id === personSelect.value);
+  if (!person) return setStatus(enrollStatus, "Select a person first (left panel or dropdown).");
+
+  const detectorKey = detectorChoice.enroll;
+  try {
+    await ensureDetector(detectorKey, MODEL_URL);
+    stream = stream || (await openCameraStream());
+  } catch (e) {
+    console.warn("Camera enroll:", e);
+    const denied = e?.name === "NotAllowedError";
+    return setStatus(enrollStatus, denied ? "Camera permission was denied." : `Camera unavailable: ${e.message || e}`);
+  }
+
+  cameraSession = {
+    person,
+    stream,
+    detectorKey,
+    step: 0,
+    held: 0,
+    captures: CAMERA_POSES.map(() => null),
+    stopped: false,
+  };
+  cameraTitle.textContent = `Camera enroll — ${person.name}`;
+  cameraVideo.srcObject = stream;
+  renderCameraSteps();
+  setStatus(cameraStatus, "Starting camera…");
+  if (!cameraDialog.open) cameraDialog.showModal();
+
+  try {
+    await cameraVideo.play();
+  } catch (e) {
+    console.warn("Camera preview did not start:", e);
+  }
+  cameraLoop(cameraSession);
+}
+
+function renderCameraSteps() {
+  const cs = cameraSession;
+  cameraSteps.innerHTML = "";
+  CAMERA_POSES.forEach((pose, i) => {
+    const step = document.createElement("div");
+    const cap = cs.captures[i];
+    step.className = `camstep${i === cs.step ? " camstep--active" : ""}${cap ? " camstep--done" : ""}`;
+
+    if (cap) {
+      const im = document.createElement("img");
+      im.src = cap.sample.thumb;
+      im.alt = pose.key;
+      step.appendChild(im);
+    }
+    const label = document.createElement("div");
+    label.textContent = cap ? `${pose.key} ✓` : cap === false ? `${pose.key} (skipped)` : pose.key;
+    step.appendChild(label);
+    cameraSteps.appendChild(step);
+  });
+
+  const pose = CAMERA_POSES[cs.step];
+  cameraPrompt.textContent = pose ? `${cs.step + 1} / ${CAMERA_POSES.length}: ${pose.prompt}` : "All poses done.";
+  btnCameraSkip.disabled = !pose;
+  btnCameraFinish.disabled = !cs.captures.some(Boolean);
+}
+
+// current video frame → canvas (detection and thumbnails need a still)
+function cameraFrame() {
+  const w = cameraVideo.videoWidth;
+  const h = cameraVideo.videoHeight;
+  if (!w || !h) return null;
+  const canvas = makeCanvas(w, h);
+  canvas.getContext("2d").drawImage(cameraVideo, 0, 0, w, h);
+  return canvas;
+}
+
+async function cameraLoop(cs) {
+  while (!cs.stopped && cs.step < CAMERA_POSES.length) {
+    await new Promise((r) => setTimeout(r, CAMERA_FRAME_GAP));
+    if (cs.stopped) return;
+
+    const frame = cameraFrame();
+    if (!frame) continue;
+
+    tfScopeStart();
+    try {
+      await cameraStep(cs, frame);
+    } catch (e) {
+      console.warn("Camera frame failed:", e);
+    } finally {
+      tfScopeEnd();
+      await tfYield();
+    }
+  }
+  if (!cs.stopped && cs.step >= CAMERA_POSES.length) finishCameraEnroll();
+}
+
+async function cameraStep(cs, frame) {
+  const { canvas, scale } = imageToDetectionCanvas(frame, ENROLL_MIN_SIDE, MAX_DIM_ENROLL);
+  const pick = dominantFace(await safeDetect(canvas, cs.detectorKey, "enroll"), scale, frame);
+  if (cs.stopped) return;
+  if (!pick.det) {
+    cs.held = 0;
+    return setStatus(cameraStatus, pick.reason === "no face found" ? "No face in view — move closer." : "Only the subject should be in view.");
+  }
+
+  const pose = CAMERA_POSES[cs.step];
+  const head = estimateHeadPose(pick.det.landmarks.positions);
+  const reading = `yaw ${Math.round(head.yaw)}° • pitch ${Math.round(head.pitch)}°`;
+  if (!pose.fits(head)) {
+    cs.held = 0;
+    return setStatus(cameraStatus, `${pose.prompt} (${reading})`);
+  }
+  if (++cs.held < CAMERA_HOLD_FRAMES) return setStatus(cameraStatus, `Hold still… (${reading})`);
+
+  const box = originalBox(pick.det, scale);
+  const own = [
+    ...activeSamples(cs.person).map((s) => s.descriptor),
+    ...cs.captures.filter(Boolean).map((c) => c.sample.descriptor),
+  ];
+  const quality = assessEnrollCrop({
+    image: frame,
+    box,
+    landmarks: pick.det.landmarks.positions,
+    descriptor: pick.det.descriptor,
+    own,
+    others: toMatchPool(people.filter((p) => p.id !== cs.person.id)),
+    thr: personThreshold(cs.person) ?? parseFloat(threshold.value),
+  });
+  if (quality.rating === "poor") {
+    cs.held = 0;
+    return setStatus(cameraStatus, `Retrying: ${quality.issues.map((i) => i.text).join(" • ")}`);
+  }
+
+  const sample = sampleFromDetection(pick.det, faceThumb(frame, box), `camera (${pose.key})`);
+  cs.captures[cs.step] = { pose: pose.key, sample, quality };
+  cs.step++;
+  cs.held = 0;
+  setStatus(cameraStatus, `Captured ${pose.key} (${quality.rating}).`);
+  renderCameraSteps();
+}
+
+// Saves the captured set (near-duplicates of existing samples are dropped)
+function finishCameraEnroll() {
+  const cs = cameraSession;
+  if (!cs) return;
+  const captured = cs.captures.filter(Boolean).map((c) => c.sample);
+  const fresh = dedupeSamples(captured, cs.person.samples);
+  if (fresh.length) {
+    cs.person.samples.push(...fresh);
+    savePeople();
+  }
+  stopCameraEnroll();
+  setStatus(
+    enrollStatus,
+    `Camera: added ${fresh.length} sample(s) to ${cs.person.name}` +
+      `${captured.length > fresh.length ? ` (${captured.length - fresh.length} duplicate(s) skipped)` : ""}. Total: ${cs.person.samples.length}`
+  );
+}
+
+function stopCameraEnroll() {
+  const cs = cameraSession;
+  if (!cs) return;
+  cs.stopped = true;
+  cameraSession = null;
+  cs.stream.getTracks().forEach((t) => t.stop());
+  cameraVideo.srcObject = null;
+  if (cameraDialog.open) cameraDialog.close();
+}
+
+btnCamera.addEventListener("click", () => startCameraEnroll());
+btnCameraSkip.addEventListener("click", () => {
+  const cs = cameraSession;
+  if (!cs || cs.step >= CAMERA_POSES.length) return;
+  cs.captures[cs.step] = false;
+  cs.step++;
+  cs.held = 0;
+  renderCameraSteps();
+});
+btnCameraFinish.addEventListener("click", finishCameraEnroll);
+btnCameraCancel.addEventListener("click", () => {
+  stopCameraEnroll();
+  setStatus(enrollStatus, "Camera enroll cancelled — nothing was added.");
+});
+// Esc closes the dialog: treat it as cancel so the camera light goes off
+cameraDialog.addEventListener("close", () => stopCameraEnroll());
+
+// -------------------- Scan --------------------
+// Detection + matching run in scan-worker.js; this thread only renders per-file results.
+// Falls back to the same pipeline on the page when Worker/OffscreenCanvas is missing.
+const SCAN_IN_WORKER = typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined";
+const SCAN_QUEUE_LIMIT = 4;  // files posted to the worker but not answered yet
+const DECODE_AHEAD = 3;      // parallel createImageBitmap decodes (when enabled)
+
+let scanWorker = null;       // { worker, ready: Promise }
+let lastScan = null;         // scan session (see newScanSession), feeds the report
+
+function newScanSession(files, opts) {
+  return {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    threshold: opts.thr,
+    band: opts.band,
+    margin: opts.margin,
+    detector: opts.detector,
+    tiled: !!opts.tiled,
+    people: sessionPeople(opts.pool),
+    sources: files,             // File refs (HTML thumbnails); not serialized
+    files: new Array(files.length).fill(null),
+  };
+}
+
+// matching settings as the controls show them right now
+function currentMatchOpts() {
+  return {
+    pool: toMatchPool(selectedPeople()),
+    thr: parseFloat(threshold.value),
+    band: parseFloat(borderline.value) || 0,
+    margin: parseFloat(ambiguity.value) || 0,
+  };
+}
+
+function getScanWorker() {
+  if (scanWorker) return scanWorker;
+
+  const worker = new Worker(new URL("./scan-worker.js", APP_BASE));
+  const ready = new Promise((resolve, reject) => {
+    worker.addEventListener("message", function onInit(e) {
+      if (e.data?.type === "ready") resolve();
+      else if (e.data?.type === "fatal") reject(new Error(e.data.message));
+      else return;
+      worker.removeEventListener("message", onInit);
+    });
+    worker.addEventListener("error", (e) => reject(new Error(e.message || "Worker failed to start")));
+  });
+  worker.postMessage({ type: "init", modelUrl: new URL(MODEL_URL, location.href).href });
+
+  scanWorker = { worker, ready };
+  ready.catch(() => {
+    worker.terminate();
+  });
+  return scanWorker;
+}
+
+// Bounded queue: never more than SCAN_QUEUE_LIMIT files in flight.
+// onResult gets one message per file, in whatever order the worker answers.
+// Paused: nothing new is posted. Cancelled: resolves once the in-flight files are back.
+function scanFilesInWorker(files, opts, onResult, ctl) {
+  const { worker } = getScanWorker();
+  const jobId = uid();
+
+  return new Promise((resolve, reject) => {
+    let next = 0;
+    let received = 0;
+    let waiting = false;
+    let finished = false;
+
+    const pump = () => {
+      if (ctl.cancelled) {
+        if (received === next) finish();
+        return;
+      }
+      if (ctl.paused) {
+        if (!waiting) {
+          waiting = true;
+          ctl.wait().then(() => {
+            waiting = false;
+            pump();
+          });
+        }
+        return;
+      }
+      while (next < files.length && next - received < SCAN_QUEUE_LIMIT) {
+        worker.postMessage({ type: "file", jobId, index: next, file: files[next] });
+        next++;
+      }
+    };
+
+    const finish = (err) => {
+      if (finished) return;
+      finished = true;
+      worker.removeEventListener("message", onMessage);
+      worker.removeEventListener("error", onError);
+      if (err) reject(err);
+      else resolve();
+    };
+
+    const onMessage = (e) => {
+      const msg = e.data;
+      if (msg?.jobId !== jobId) return;
+      if (msg.type === "fatal") return finish(new Error(msg.message));
+      if (msg.type !== "result") return;
+
+      received++;
+      onResult(msg);
+      if (received === files.length) finish();
+      else pump();
+    };
+    const onError = (e) => finish(new Error(e.message || "Scan worker crashed"));
+
+    worker.addEventListener("message", onMessage);
+    worker.addEventListener("error", onError);
+
+    worker.postMessage({ type: "start", jobId, opts });
+    pump();
+  });
+}
+
+// -------------------- Detection cache --------------------
+// Faces + descriptors per file, keyed by detector (+ tiled mode) and a SHA-256 of the file bytes, so
+// re-scanning a file (even after a reload) only re-matches. Bump the version whenever
+// detection itself changes (limits, plausibility rules, models).
+const DETECTION_CACHE_VERSION = 1;
+const detectionCache = new Map(); // key → record, this page load
+
+async function fileHash(file) {
+  const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function cachedDetection(key) {
+  if (detectionCache.has(key)) return detectionCache.get(key);
+  if (!storeReady) return null;
+  try {
+    const rec = await dbGetDetection(key);
+    if (rec) detectionCache.set(key, rec);
+    return rec || null;
+  } catch (e) {
+    console.warn("Detection cache read failed:", e);
+    return null;
+  }
+}
+
+function rememberDetection(key, msg) {
+  const rec = {
+    key,
+    status: msg.status,
+    reason: msg.reason,
+    width: msg.width,
+    height: msg.height,
+    faceCount: msg.faceCount,
+    faces: (msg.faces || []).map(({ box, score, descriptor }) => ({ box, score, descriptor })),
+    at: new Date().toISOString(),
+  };
+  detectionCache.set(key, rec);
+  if (storeReady) dbPutDetection(rec).catch((e) => console.warn("Detection cache write failed:", e));
+}
+
+btnClearCache.addEventListener("click", () => {
+  detectionCache.clear();
+  persist(() => dbClearDetections());
+  setStatus(scanStatus, "Detection cache cleared. The next scan detects every photo again.");
+});
+
+const CACHE_CHUNK = 16; // files hashed ahead of the detector
+
+// Wraps scanFilesInWorker / scanFilesLocally: cache hits are answered here (matched with
+// the current opts); only misses reach the detector. Files are hashed a chunk at a time,
+// the next chunk while the current one's misses are detected, so big batches start at once.
+// → number of hits
+async function scanWithCache(files, opts, onResult, scanFiles, ctl) {
+  const keys = [];
+  let hits = 0;
+  let failed = false;
+
+  // → indexes in [from, to) that need detecting, or null once cancelled (or the scan failed)
+  const lookup = async (from, to) => {
+    const misses = [];
+    for (let i = from; i < to; i++) {
+      if (!(await ctl.gate()) || failed) return null;
+      if (from === 0) setStatus(scanStatus, `Checking detection cache ${i + 1} / ${files.length}…`);
+      try {
+        keys[i] = `v${DETECTION_CACHE_VERSION}:${opts.detector}${opts.tiled ? "+tiled" : ""}:${await fileHash(files[i])}`;
+      } catch (e) {
+        console.warn("Could not hash file, scanning without cache:", e);
+        keys[i] = null;
+      }
+
+      const rec = keys[i] && (await cachedDetection(keys[i]));
+      if (!rec) {
+        misses.push(i);
+        continue;
+      }
+      hits++;
+      onResult({
+        type: "result",
+        index: i,
+        status: rec.status,
+        reason: rec.reason,
+        width: rec.width,
+        height: rec.height,
+        faceCount: rec.faceCount,
+        faces: matchFaces(rec.faces, opts),
+      });
+    }
+    return misses;
+  };
+
+  let ahead = lookup(0, Math.min(CACHE_CHUNK, files.length));
+  for (let from = 0; from < files.length; from += CACHE_CHUNK) {
+    const misses = await ahead;
+    if (!misses || ctl.cancelled) return hits;
+    const nextFrom = from + CACHE_CHUNK;
+    ahead = nextFrom < files.length ? lookup(nextFrom, Math.min(nextFrom + CACHE_CHUNK, files.length)) : null;
+    if (!misses.length) continue;
+
+    // unreadable/too-large files are cached too: same bytes, same outcome
+    try {
+      await scanFiles(misses.map((i) => files[i]), opts, (msg) => {
+        const index = misses[msg.index];
+        if (keys[index] && (msg.status === "ok" || msg.status === "skipped")) rememberDetection(keys[index], msg);
+        onResult({ ...msg, index });
+      }, ctl);
+    } catch (e) {
+      // no late cache answers once the caller lists the rest as not scanned
+      failed = true;
+      await ahead;
+      throw e;
+    }
+  }
+  return hits;
+}
+
+// Same message shape as the worker, computed on this thread.
+async function scanFilesLocally(files, opts, onResult, ctl) {
+  await ensureDetector(opts.detector, MODEL_URL);
+
+  for (let i = 0; i < files.length; i++) {
+    if (!(await ctl.gate())) return;
+    const file = files[i];
+
+    tfScopeStart(); // ✅ critical: prevents tensor buildup
+
+    try {
+      let img;
+      try {
+        img = await fileToImage(file);
+      } catch (e) {
+        onResult({ type: "result", index: i, status: "skipped", reason: "unreadable" });
+        continue;
+      }
+
+      // skip huge images
+      const mp = (img.width * img.height) / 1_000_000;
+      if (mp > scanMegapixelLimit(opts)) {
+        onResult({ type: "result", index: i, status: "skipped", reason: `too large (${mp.toFixed(1)} MP)` });
+        continue;
+      }
+
+      const res = await scanImage(img, opts);
+      onResult({ type: "result", index: i, status: "ok", width: img.width, height: img.height, ...res });
+    } catch (err) {
+      onResult({ type: "result", index: i, status: "error", reason: String(err?.message || err) });
+    } finally {
+      tfScopeEnd();     // ✅ frees tensors
+      await tfYield();  // ✅ keeps UI responsive
+      await yieldToUI();
+    }
+  }
+}
+
+// Videos are sampled here: a <video> element can't be decoded inside the worker.
+// Same message shape as the photo scanners, plus { kind: "video", duration, interval, frames }.
+// A clip cut short by cancel sends nothing, so it's listed as not scanned (never as clear).
+async function scanVideosLocally(files, opts, onResult, ctl) {
+  await ensureDetector(opts.detector, MODEL_URL);
+
+  for (let i = 0; i < files.length; i++) {
+    if (!(await ctl.gate())) return;
     const file = files[i];
-    setStatus(scanStatus, `Scanning ${i + 1} / ${files.length}…`);
 
-    tfScopeStart(); // ✅ critical: prevents tensor buildup
+    let clip;
+    try {
+      clip = await openVideo(file);
+    } catch (e) {
+      onResult({ type: "result", index: i, status: "skipped", reason: "unreadable video" });
+      continue;
+    }
+
+    try {
+      const mp = (clip.width * clip.height) / 1_000_000;
+      if (mp > MAX_MEGAPIXELS) {
+        onResult({ type: "result", index: i, status: "skipped", reason: `too large (${mp.toFixed(1)} MP frames)` });
+        continue;
+      }
+
+      const { interval, times } = sampleTimes(clip.duration, opts.videoInterval);
+      const frames = [];
+      for (let n = 0; n < times.length; n++) {
+        if (!(await ctl.gate())) return;
+        setStatus(
+          scanStatus,
+          `${file.name}: frame ${n + 1} / ${times.length} (${formatTimecode(times[n])} of ${formatTimecode(clip.duration)})…`
+        );
+
+        tfScopeStart();
+        try {
+          const res = await scanImage(await grabFrame(clip, times[n]), opts);
+          frames.push({ t: times[n], faces: res.faces.map(({ box, score, descriptor }) => ({ box, score, descriptor })) });
+        } finally {
+          tfScopeEnd();
+          await tfYield();
+          await yieldToUI();
+        }
+      }
+
+      onResult({
+        type: "result",
+        index: i,
+        status: "ok",
+        kind: "video",
+        width: clip.width,
+        height: clip.height,
+        duration: clip.duration,
+        interval,
+        frames,
+        ...videoAppearances(frames, interval, clip.duration, opts),
+      });
+    } catch (err) {
+      onResult({ type: "result", index: i, status: "error", reason: String(err?.message || err) });
+    } finally {
+      clip.close();
+    }
+  }
+}
+
+scanInput.addEventListener("change", () => {
+  const files = Array.from(scanInput.files || []).filter(isScanFile);
+  setScanItems(files.map((file) => ({ file, path: file.name })), "selected");
+  scanInput.value = "";
+});
+
+scanFolderInput.addEventListener("change", () => {
+  const files = Array.from(scanFolderInput.files || []).filter(isScanFile);
+  setScanItems(files.map((file) => ({ file, path: file.webkitRelativePath || file.name })).sort(byPath), "folder");
+  scanFolderInput.value = "";
+});
+
+btnScanFolder.addEventListener("click", async () => {
+  if (!window.showDirectoryPicker) return scanFolderInput.click();
+  let dir;
+  try {
+    dir = await window.showDirectoryPicker({ mode: "read" });
+  } catch (e) {
+    if (e?.name !== "AbortError") console.warn("Folder picker failed:", e);
+    return;
+  }
+  setStatus(scanQueueInfo, `Reading ${dir.name}…`);
+  try {
+    const items = await walkDirectoryHandle(dir, `${dir.name}/`, [], isScanFile);
+    setScanItems(items.sort(byPath), "folder");
+  } catch (e) {
+    console.warn("Reading folder failed:", e);
+    setStatus(scanQueueInfo, `Could not read ${dir.name}.`);
+  }
+});
+
+setupDropzone(scanDrop, (items) => setScanItems(items, "dropped"), { folders: true });
+
+btnScan.addEventListener("click", async () => {
+  if (!modelsReady) return setStatus(scanStatus, "Models not ready yet.");
+
+  const items = scanItems.slice();
+  if (!items.length) return;
+  const files = items.map((it) => it.file);
+  const videoIdx = [];
+  const photoIdx = [];
+  files.forEach((f, i) => (isVideoFile(f) ? videoIdx : photoIdx).push(i));
+
+  const pool = selectedPeople();
+  const poolSamples = pool.reduce((s, p) => s + activeSamples(p).length, 0);
+  if (!pool.length || poolSamples === 0) {
+    return setStatus(scanStatus, "No selected people with samples. Check filters and enroll samples first.");
+  }
+
+  const opts = {
+    detector: detectorChoice.scan,
+    ...currentMatchOpts(),
+    // tiled photos may be 60 MP (~240 MB decoded each): only the next one decodes ahead
+    decodeAhead: parallelDecode.checked && !scanTiled.checked ? DECODE_AHEAD : 1,
+    tiled: scanTiled.checked,
+    videoInterval: Math.max(VIDEO_MIN_INTERVAL, parseFloat(videoInterval.value) || VIDEO_DEFAULT_INTERVAL),
+  };
+  const { thr, band } = opts;
+
+  let useWorker = SCAN_IN_WORKER;
+  if (useWorker) {
+    setStatus(scanStatus, "Starting scan worker…");
+    try {
+      await getScanWorker().ready;
+    } catch (e) {
+      console.warn("Scan worker unavailable, scanning on the page instead:", e);
+      useWorker = false;
+    }
+  }
+
+  clearBuckets();
+  clearClusters();
+  setStatus(scanStatus, `Scanning ${mediaCountLabel(files)}…`);
+  btnScan.disabled = true;
+  btnReport.disabled = true;
+  btnRedactBatch.disabled = true;
+  scanRunning = true;
+
+  const session = newScanSession(files, opts);
+  lastScan = session;
+
+  const ctl = newScanControl();
+  scanControl = ctl;
+  showScanControls(true);
+
+  const counts = { flagged: 0, possible: 0, clear: 0, skipped: 0 };
+  let done = 0;
+  updateScanProgress(done, files.length, ctl);
+
+  const onResult = (msg) => {
+    const item = items[msg.index];
+    done++;
+    updateScanProgress(done, files.length, ctl);
+
+    if (msg.status === "skipped" || msg.status === "error") {
+      session.files[msg.index] = { name: item.path, status: msg.status, reason: msg.reason, faces: [] };
+      renderNotScanned(session.files[msg.index], counts);
+    } else {
+      const status = renderScanResult(item, msg, counts, msg.index);
+      session.files[msg.index] = {
+        name: item.path,
+        status,
+        faceCount: msg.faceCount,
+        width: msg.width,
+        height: msg.height,
+        faces: msg.faces,
+        ...(msg.kind === "video" && { kind: "video", duration: msg.duration, interval: msg.interval, frames: msg.frames }),
+      };
+    }
+    emitScannerEvent("progress", { done, total: files.length, name: item.path });
+    emitScannerEvent("result", { index: msg.index, ...session.files[msg.index] });
+  };
+  // photos first (worker + cache), then clips on this thread; indexes map back into `items`
+  const subset = (idx, fn) => (msg) => fn({ ...msg, index: idx[msg.index] });
+
+  let cached = 0;
+  let stopped = null;
+  try {
+    if (photoIdx.length) {
+      const photos = photoIdx.map((i) => files[i]);
+      cached = await scanWithCache(photos, opts, subset(photoIdx, onResult), useWorker ? scanFilesInWorker : scanFilesLocally, ctl);
+    }
+    if (videoIdx.length && !ctl.cancelled) {
+      // frames are video-sized: tiling them would only multiply the work
+      await scanVideosLocally(videoIdx.map((i) => files[i]), { ...opts, tiled: false }, subset(videoIdx, onResult), ctl);
+    }
+  } catch (e) {
+    console.error(e);
+    stopped = e.message || String(e);
+  }
+
+  // whatever never got an answer is listed, never silently dropped
+  const why = ctl.cancelled ? "not scanned (cancelled)" : "not scanned (scan stopped)";
+  session.files.forEach((f, i) => {
+    if (f) return;
+    session.files[i] = { name: items[i].path, status: "skipped", reason: why, faces: [] };
+    renderNotScanned(session.files[i], counts);
+    emitScannerEvent("result", { index: i, ...session.files[i] });
+  });
+  session.cancelled = ctl.cancelled;
+
+  scanRunning = false;
+  scanControl = null;
+  showScanControls(false);
+  session.finishedAt = new Date().toISOString();
+  btnReport.disabled = false;
+  btnRedactBatch.disabled = false;
+  updateButtons();
+  renderUnknownClusters(session).catch((e) => console.warn("Unknown-face grouping failed:", e));
+  emitScannerEvent("done", { session, summary: reportSummary(session) });
+
+  const head = stopped ? `Scan stopped: ${stopped}.` : ctl.cancelled ? "Cancelled." : "Done.";
+  setStatus(
+    scanStatus,
+    `${head} Matched ${counts.flagged} • Possible ${counts.possible} • Clear ${counts.clear}. ` +
+      `Threshold ${thr.toFixed(2)}${band > 0 ? ` (+${band.toFixed(2)} borderline)` : ""}.` +
+      (cached ? ` ${cached} photo(s) from the detection cache.` : "") +
+      ` ${coverageText(session)}`
+  );
+});
+
+// -------------------- Scan controls --------------------
+let scanControl = null; // the running scan's control (see newScanControl)
+
+// Pause / resume / cancel for one run. Scanners call gate() (or wait()) between files.
+function newScanControl() {
+  const waiters = [];
+  const ctl = {
+    paused: false,
+    cancelled: false,
+    startedAt: performance.now(),
+    pausedMs: 0,
+    pausedAt: 0,
+    pause() {
+      if (ctl.paused || ctl.cancelled) return;
+      ctl.paused = true;
+      ctl.pausedAt = performance.now();
+    },
+    resume() {
+      if (ctl.paused) ctl.pausedMs += performance.now() - ctl.pausedAt;
+      ctl.paused = false;
+      waiters.splice(0).forEach((w) => w());
+    },
+    cancel() {
+      ctl.cancelled = true;
+      ctl.resume();
+    },
+    wait() {
+      return ctl.paused ? new Promise((r) => waiters.push(r)) : Promise.resolve();
+    },
+    // → true to carry on, false once cancelled
+    async gate() {
+      while (ctl.paused) await ctl.wait();
+      return !ctl.cancelled;
+    },
+    activeMs() {
+      const now = ctl.paused ? ctl.pausedAt : performance.now();
+      return now - ctl.startedAt - ctl.pausedMs;
+    },
+  };
+  return ctl;
+}
+
+function showScanControls(on) {
+  scanControls.hidden = !on;
+  btnPauseScan.textContent = "Pause";
+  btnPauseScan.disabled = false;
+  btnCancelScan.disabled = false;
+}
+
+function formatDuration(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
+function updateScanProgress(done, total, ctl) {
+  ctl.done = done;
+  ctl.total = total;
+  scanProgress.max = total;
+  scanProgress.value = done;
+
+  const secs = ctl.activeMs() / 1000;
+  const rate = secs > 0 ? done / secs : 0; // per file: photos and videos (one step each) mix
+  const parts = [`${done} / ${total}`];
+  if (done && rate) {
+    parts.push(`${rate.toFixed(rate < 10 ? 1 : 0)} files/s`);
+    if (done < total) parts.push(`ETA ${formatDuration(((total - done) / rate) * 1000)}`);
+  }
+  if (ctl.paused) parts.push("paused");
+  if (ctl.cancelled) parts.push("cancelling…");
+  setStatus(scanProgressInfo, parts.join(" • "));
+}
+
+btnPauseScan.addEventListener("click", () => {
+  const ctl = scanControl;
+  if (!ctl) return;
+  if (ctl.paused) ctl.resume();
+  else ctl.pause();
+  btnPauseScan.textContent = ctl.paused ? "Resume" : "Pause";
+  updateScanProgress(ctl.done, ctl.total, ctl);
+  setStatus(scanStatus, ctl.paused ? "Paused. Files in progress finish first." : "Scanning…");
+});
+
+btnCancelScan.addEventListener("click", () => {
+  const ctl = scanControl;
+  if (!ctl) return;
+  ctl.cancel();
+  btnPauseScan.disabled = true;
+  btnCancelScan.disabled = true;
+  updateScanProgress(ctl.done, ctl.total, ctl);
+  setStatus(scanStatus, "Cancelling… files in progress finish first.");
+});
+
+// Skipped / failed / never reached: always listed, with the reason
+function renderNotScanned(file, counts) {
+  const row = document.createElement("div");
+  row.className = "result";
+  row.innerHTML = `
+    <div>
+      <div class="result__name" title="${escapeHtml(file.name)}">${escapeHtml(file.name)}</div>
+      <div class="result__sub">${escapeHtml(file.reason || file.status)}</div>
+    </div>
+    <div class="result__right"><span class="tag tag--warn">${file.status === "error" ? "ERROR" : "SKIPPED"}</span></div>
+  `;
+  resultsSkipped.appendChild(row);
+  counts.skipped++;
+  countSkipped.textContent = String(counts.skipped);
+}
+
+function coverageText(session) {
+  const total = session.files.length;
+  const missed = session.files.filter((f) => !f || f.status === "skipped" || f.status === "error").length;
+  return missed
+    ? `⚠ ${missed} of ${total} file(s) were NOT scanned — see Not scanned.`
+    : `All ${total} file(s) scanned.`;
+}
+
+// -------------------- Live re-matching --------------------
+// Sliders, the people filter and people edits re-sort the last scan from its kept
+// descriptors: no re-detection. Redaction edits stay on the session files.
+let rematchTimer = null;
+let rematchClusters = false;
+
+function scheduleRematch({ clusters = true } = {}) {
+  if (!lastScan || scanRunning) return;
+  rematchClusters = rematchClusters || clusters;
+  clearTimeout(rematchTimer);
+  rematchTimer = setTimeout(() => {
+    const withClusters = rematchClusters;
+    rematchClusters = false;
+    rematchSession(lastScan, withClusters);
+  }, 120);
+}
+
+function rematchSession(session, withClusters) {
+  const opts = currentMatchOpts();
+  session.threshold = opts.thr;
+  session.band = opts.band;
+  session.margin = opts.margin;
+  session.people = sessionPeople(opts.pool);
+
+  clearBuckets();
+  const counts = { flagged: 0, possible: 0, clear: 0, skipped: 0 };
+  session.files.forEach((f, i) => {
+    if (!f) return;
+    if (f.status === "skipped" || f.status === "error") return renderNotScanned(f, counts);
+    if (f.kind === "video") Object.assign(f, videoAppearances(f.frames, f.interval, f.duration, opts));
+    else f.faces = matchFaces(f.faces, opts);
+    f.status = renderScanResult({ file: session.sources[i], path: f.name }, f, counts, i, { autoPreview: false });
+  });
+  if (withClusters) renderUnknownClusters(session).catch((e) => console.warn("Unknown-face grouping failed:", e));
+  refreshPreview(session);
+
+  setStatus(
+    scanStatus,
+    `Updated (no re-scan): Matched ${counts.flagged} • Possible ${counts.possible} • Clear ${counts.clear}. ` +
+      `Threshold ${opts.thr.toFixed(2)}${opts.band > 0 ? ` (+${opts.band.toFixed(2)} borderline)` : ""}. ` +
+      coverageText(session)
+  );
+}
+
+// autoPreview: show the first flagged (else possible, else clear) file; off when re-matching
+function renderScanResult(item, result, counts, index, { autoPreview = true } = {}) {
+  const faces = result.faces;
+
+  const matchedFaces = faces.filter((fr) => fr.best?.level === "match");
+  const possibleFaces = faces.filter((fr) => fr.best?.level === "possible" || fr.best?.level === "ambiguous");
+  const status = fileStatusFromFaces(faces);
+
+  // one entry per person (closest face), with the runner-up alongside
+  const matchLabel = closestPerPerson(matchedFaces)
+    .map((b) => (b.runnerUp ? `${b.name} (next: ${b.runnerUp.name} ${b.runnerUp.dist.toFixed(2)})` : b.name))
+    .join(", ");
+  const possibleLabel = closestPerPerson(possibleFaces)
+    .map((b) =>
+      b.level === "ambiguous"
+        ? `${b.name} ${b.dist.toFixed(2)} ≈ ${b.runnerUp.name} ${b.runnerUp.dist.toFixed(2)}`
+        : `${b.name} (${b.dist.toFixed(2)})`
+    )
+    .join(", ");
+
+  let subText = "No matches";
+  if (status === "flagged") {
+    subText = `Matched: ${escapeHtml(matchLabel)}`;
+    if (possibleLabel) subText += ` • Possible: ${escapeHtml(possibleLabel)}`;
+  } else if (status === "possible") {
+    subText = `Possible: ${escapeHtml(possibleLabel)}`;
+  }
+
+  const row = document.createElement("div");
+  row.className = "result";
+
+  const isVideo = result.kind === "video";
+  const detected = isVideo
+    ? `${formatTimecode(result.duration)} video • ${result.frames.length} frame(s) checked • up to ${result.faceCount} face(s)`
+    : `${result.faceCount} face(s) detected`;
+
+  const left = document.createElement("div");
+  left.innerHTML = `
+    <div class="result__name" title="${escapeHtml(item.path)}">${escapeHtml(item.path)}</div>
+    <div class="result__sub">
+      ${detected} • ${subText}
+    </div>
+  `;
+  if (isVideo && faces.length) left.appendChild(renderAppearances(item.file, result));
+
+  const right = document.createElement("div");
+  right.className = "result__right";
+
+  const tag = document.createElement("span");
+  tag.className = `tag ${
+    status === "flagged" ? "tag--bad" : status === "possible" ? "tag--warn" : "tag--good"
+  }`;
+  tag.textContent = status === "flagged" ? "MATCH" : status === "possible" ? "POSSIBLE" : "CLEAR";
+
+  // the image stays in the worker; decode again only when a preview is needed
+  const preview = isVideo
+    ? () => previewVideoAt(item.file, result, closestAppearance(faces)?.at ?? 0)
+    : () => previewFile(item.file, faces, index);
+
+  const btnPrev = document.createElement("button");
+  btnPrev.className = "btn btn--ghost btn--sm";
+  btnPrev.textContent = "Preview";
+  btnPrev.onclick = preview;
+
+  right.appendChild(tag);
+  right.appendChild(btnPrev);
+
+  if (status !== "clear" && !isVideo) {
+    const btnRedact = document.createElement("button");
+    btnRedact.className = "btn btn--ghost btn--sm";
+    btnRedact.textContent = "Redact";
+    btnRedact.onclick = () => openRedactEditor(index);
+    right.appendChild(btnRedact);
+  }
+
+  row.appendChild(left);
+  row.appendChild(right);
+
+  counts[status]++;
+  if (status === "flagged") {
+    resultsFlagged.appendChild(row);
+    if (autoPreview && counts.flagged === 1) preview();
+  } else if (status === "possible") {
+    resultsPossible.appendChild(row);
+    if (autoPreview && counts.flagged === 0 && counts.possible === 1) preview();
+  } else {
+    resultsClear.appendChild(row);
+    if (autoPreview && counts.flagged === 0 && counts.possible === 0 && counts.clear === 1) preview();
+  }
+
+  countFlagged.textContent = String(counts.flagged);
+  countPossible.textContent = String(counts.possible);
+  countClear.textContent = String(counts.clear);
+  return status;
+}
+
+// -------------------- Video results --------------------
+// One chip per appearance ("Alice 0:03–0:07"); clicking shows its closest frame.
+function renderAppearances(file, result) {
+  const wrap = document.createElement("div");
+  wrap.className = "result__times";
+  const tenths = result.interval < 1;
+
+  for (const f of result.faces) {
+    const chip = document.createElement("button");
+    chip.className = `timechip timechip--${f.best.level === "match" ? "match" : "possible"}`;
+    chip.textContent = `${f.best.name} ${formatTimecode(f.start, tenths)}–${formatTimecode(f.end, tenths)}`;
+    chip.title = `${f.frames} frame(s) • closest ${f.best.dist.toFixed(2)} at ${formatTimecode(f.at, tenths)}`;
+    chip.onclick = () => previewVideoAt(file, result, f.at);
+    wrap.appendChild(chip);
+  }
+  return wrap;
+}
+
+function closestAppearance(faces) {
+  return faces.reduce((a, b) => (!a || b.best.dist < a.best.dist ? b : a), null);
+}
+
+// every face of that sampled frame, matched with the current settings
+function previewVideoAt(file, result, t) {
+  const frame = result.frames.find((fr) => fr.t === t) || result.frames[0];
+  const faces = frame ? matchFaces(frame.faces, currentMatchOpts()) : [];
+  return previewFile(file, faces, null, { at: frame?.t ?? 0 });
+}
+
+// -------------------- Report --------------------
+const REPORT_THUMB_W = 320;
+
+async function buildReportThumbs(session) {
+  const thumbs = {};
+  for (let i = 0; i < session.files.length; i++) {
+    const f = session.files[i];
+    if (!f || (f.status !== "flagged" && f.status !== "possible")) continue;
+    try {
+      // clips: the frame where their closest appearance was seen
+      const rep = f.kind === "video" ? closestAppearance(f.faces) : null;
+      const img = rep ? await videoFrameAt(session.sources[i], rep.at) : await fileToImage(session.sources[i]);
+      const canvas = document.createElement("canvas");
+      drawAnnotated(canvas, img, rep ? f.faces.filter((x) => x.at === rep.at) : f.faces, REPORT_THUMB_W);
+      thumbs[i] = canvas.toDataURL("image/jpeg", 0.8);
+    } catch (e) {
+      console.warn("Report thumbnail failed:", f.name, e);
+    }
+    await yieldToUI();
+  }
+  return thumbs;
+}
+
+btnReport.addEventListener("click", async () => {
+  if (!lastScan) return;
+  const stamp = (lastScan.finishedAt || lastScan.startedAt).slice(0, 19).replace(/[:T]/g, "-");
+  const format = reportFormat.value;
+
+  if (format === "csv") {
+    downloadBlob(new Blob([buildReportCSV(lastScan)], { type: "text/csv" }), `dnu-report-${stamp}.csv`);
+  } else if (format === "html") {
+    btnReport.disabled = true;
+    setStatus(scanStatus, "Building report…");
+    try {
+      const html = buildReportHTML(lastScan, await buildReportThumbs(lastScan));
+      downloadBlob(new Blob([html], { type: "text/html" }), `dnu-report-${stamp}.html`);
+      setStatus(scanStatus, "Report downloaded.");
+    } finally {
+      btnReport.disabled = false;
+    }
+  } else {
+    downloadBlob(new Blob([buildReportJSON(lastScan)], { type: "application/json" }), `dnu-report-${stamp}.json`);
+  }
+});
+
+// -------------------- Preview --------------------
+function clearPreview() {
+  previewView = null;
+  previewTip.hidden = true;
+  previewFace.hidden = true;
+  const ctx = previewCanvas.getContext("2d");
+  previewCanvas.width = 1;
+  previewCanvas.height = 1;
+  ctx.clearRect(0, 0, 1, 1);
+}
+
+// index: session file index (lets the view follow re-matching and act on the face)
+// at: seconds into a video clip (file is a video; that frame is shown)
+async function previewFile(file, faceResults, index = null, { at = null } = {}) {
+  try {
+    const img = at != null ? await videoFrameAt(file, at) : await fileToImage(file);
+    previewView = {
+      img,
+      file,
+      at,
+      index,
+      faces: faceResults,
+      base: Math.min(1, PREVIEW_MAX_W / img.width), // canvas px per image px at zoom 1
+      zoom: 1,
+      panX: 0,
+      panY: 0,
+      hover: -1,
+      selected: -1,
+      drag: null,
+    };
+    previewTip.hidden = true;
+    previewFace.hidden = true;
+    drawPreview();
+  } catch (e) {
+    console.warn("Preview failed:", file.name, e);
+  }
+}
+
+function faceStroke(fr) {
+  if (!fr.best) return "#8a94a6";                                    // grey: unmatched
+  return fr.best.level === "match" ? "#b00020" : "#d9a23a";          // red : amber
+}
+
+function faceLabel(fr) {
+  if (!fr.best) return fr.exclude?.length ? "NO MATCH (false positive removed)" : "NO MATCH";
+  const next = fr.best.runnerUp;
+  if (fr.best.level === "possible") return `POSSIBLE: ${fr.best.name} (${fr.best.dist.toFixed(2)})`;
+  if (fr.best.level === "ambiguous") {
+    return `AMBIGUOUS: ${fr.best.name} ${fr.best.dist.toFixed(2)} / ${next.name} ${next.dist.toFixed(2)}`;
+  }
+  return `MATCH: ${fr.best.name} (${fr.best.confidence}%)${next ? ` • 2nd ${next.name} ${next.dist.toFixed(2)}` : ""}`;
+}
+
+function drawFaceBox(ctx, fr, x, y, w, h, { small = false, highlight = false } = {}) {
+  const stroke = faceStroke(fr);
+  ctx.strokeStyle = stroke;
+  ctx.lineWidth = highlight ? 4 : 2;
+  ctx.setLineDash(fr.best ? [] : [6, 4]);
+  ctx.strokeRect(x, y, w, h);
+  ctx.setLineDash([]);
+
+  const label = faceLabel(fr);
+  const pad = 4;
+  const tw = ctx.measureText(label).width;
+
+  ctx.fillStyle = stroke;
+  ctx.fillRect(x, y, tw + pad * 2, (small ? 14 : 18) + pad);
+  ctx.fillStyle = "#fff";
+  ctx.fillText(label, x + pad, y + pad);
+}
+
+// Image + red/amber boxes, scaled down to maxW (report thumbnails)
+function drawAnnotated(canvas, img, faceResults, maxW) {
+  const ctx = canvas.getContext("2d");
+  const scaleCanvas = Math.min(1, maxW / img.width);
+
+  canvas.width = Math.round(img.width * scaleCanvas);
+  canvas.height = Math.round(img.height * scaleCanvas);
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  ctx.font = `${maxW < 600 ? 11 : 14}px system-ui`;
+  ctx.textBaseline = "top";
+
+  // ✅ ONLY DRAW MATCHED (red) + BORDERLINE / AMBIGUOUS (amber) FACES
+  for (const fr of faceResults) {
+    if (!fr.best) continue;
+    // boxes are already in original-image coords
+    const b = fr.box;
+    drawFaceBox(ctx, fr, b.x * scaleCanvas, b.y * scaleCanvas, b.width * scaleCanvas, b.height * scaleCanvas, {
+      small: maxW < 600,
+    });
+  }
+}
+
+// -------------------- Interactive preview --------------------
+// Zoom (wheel / buttons), pan (drag), hover = distances, click = face actions.
+const PREVIEW_MAX_W = 1100;
+const PREVIEW_MAX_ZOOM = 8;
+const PREVIEW_NEAREST = 4; // people listed for a face
+
+let previewView = null; // see previewFile
+
+function drawPreview() {
+  const v = previewView;
+  if (!v) return;
+
+  const w = Math.round(v.img.width * v.base);
+  const h = Math.round(v.img.height * v.base);
+  if (previewCanvas.width !== w || previewCanvas.height !== h) {
+    previewCanvas.width = w;
+    previewCanvas.height = h;
+  }
+
+  const ctx = previewCanvas.getContext("2d");
+  const k = v.base * v.zoom;
+  ctx.clearRect(0, 0, w, h);
+  ctx.drawImage(v.img, -v.panX, -v.panY, v.img.width * k, v.img.height * k);
+
+  ctx.font = "14px system-ui";
+  ctx.textBaseline = "top";
+
+  v.faces.forEach((fr, i) => {
+    if (!fr.best && !previewShowAll.checked && i !== v.selected) return;
+    const b = fr.box;
+    drawFaceBox(ctx, fr, b.x * k - v.panX, b.y * k - v.panY, b.width * k, b.height * k, {
+      highlight: i === v.hover || i === v.selected,
+    });
+  });
+
+  btnZoomReset.disabled = v.zoom === 1;
+}
+
+// pointer event → canvas px (canvas is CSS-scaled)
+function previewPoint(e) {
+  const rect = previewCanvas.getBoundingClientRect();
+  const r = previewCanvas.width / rect.width;
+  return { x: (e.clientX - rect.left) * r, y: (e.clientY - rect.top) * r, r };
+}
+
+// canvas px → index of the (smallest) visible face under it, or -1
+function previewFaceAt(pt) {
+  const v = previewView;
+  const k = v.base * v.zoom;
+  const ox = (pt.x + v.panX) / k;
+  const oy = (pt.y + v.panY) / k;
+
+  let hit = -1;
+  let area = Infinity;
+  v.faces.forEach((fr, i) => {
+    if (!fr.best && !previewShowAll.checked) return;
+    const b = fr.box;
+    if (ox < b.x || oy < b.y || ox > b.x + b.width || oy > b.y + b.height) return;
+    if (b.width * b.height < area) {
+      area = b.width * b.height;
+      hit = i;
+    }
+  });
+  return hit;
+}
+
+function clampPreviewPan() {
+  const v = previewView;
+  const k = v.base * v.zoom;
+  v.panX = Math.max(0, Math.min(v.panX, v.img.width * k - previewCanvas.width));
+  v.panY = Math.max(0, Math.min(v.panY, v.img.height * k - previewCanvas.height));
+}
+
+// keep the image point under (cx, cy) in place
+function zoomPreview(factor, cx = previewCanvas.width / 2, cy = previewCanvas.height / 2) {
+  const v = previewView;
+  if (!v) return;
+  const k = v.base * v.zoom;
+  const ox = (cx + v.panX) / k;
+  const oy = (cy + v.panY) / k;
+
+  v.zoom = Math.max(1, Math.min(PREVIEW_MAX_ZOOM, v.zoom * factor));
+  const k2 = v.base * v.zoom;
+  v.panX = ox * k2 - cx;
+  v.panY = oy * k2 - cy;
+  clampPreviewPan();
+  drawPreview();
+}
+
+// everyone enrolled (not just the scan selection), closest first
+function nearestPeopleText(fr) {
+  const ranked = rankPeople(fr.descriptor, toMatchPool(people)).slice(0, PREVIEW_NEAREST);
+  if (!ranked.length) return "No enrolled samples to compare with.";
+  return ranked
+    .map((r) => {
+      const p = people.find((x) => x.id === r.personId);
+      const thr = personThreshold(p) ?? parseFloat(threshold.value);
+      if (r.rejected) return `${r.name} ${r.dist.toFixed(2)} ✗ (negative)`;
+      return `${r.name} ${r.dist.toFixed(2)}${r.dist <= thr ? " ✓" : ""}`;
+    })
+    .join(" • ");
+}
+
+previewCanvas.addEventListener("wheel", (e) => {
+  if (!previewView) return;
+  e.preventDefault();
+  const pt = previewPoint(e);
+  zoomPreview(e.deltaY < 0 ? 1.25 : 1 / 1.25, pt.x, pt.y);
+}, { passive: false });
+
+previewCanvas.addEventListener("pointerdown", (e) => {
+  if (!previewView) return;
+  const pt = previewPoint(e);
+  previewView.drag = { x: pt.x, y: pt.y, panX: previewView.panX, panY: previewView.panY, moved: false };
+  previewCanvas.setPointerCapture?.(e.pointerId);
+});
+
+previewCanvas.addEventListener("pointermove", (e) => {
+  const v = previewView;
+  if (!v) return;
+  const pt = previewPoint(e);
+
+  if (v.drag) {
+    const dx = pt.x - v.drag.x;
+    const dy = pt.y - v.drag.y;
+    if (Math.abs(dx) + Math.abs(dy) > 3) v.drag.moved = true;
+    if (v.drag.moved) {
+      v.panX = v.drag.panX - dx;
+      v.panY = v.drag.panY - dy;
+      clampPreviewPan();
+      previewTip.hidden = true;
+      drawPreview();
+      return;
+    }
+  }
+
+  const hit = previewFaceAt(pt);
+  if (hit !== v.hover) {
+    v.hover = hit;
+    drawPreview();
+  }
+  if (hit < 0 || !v.faces[hit].descriptor) {
+    previewTip.hidden = true;
+    return;
+  }
+  previewTip.textContent = nearestPeopleText(v.faces[hit]);
+  previewTip.style.left = `${pt.x / pt.r + 12}px`;
+  previewTip.style.top = `${pt.y / pt.r + 12}px`;
+  previewTip.hidden = false;
+});
+
+previewCanvas.addEventListener("pointerup", (e) => {
+  const v = previewView;
+  if (!v?.drag) return;
+  const { moved } = v.drag;
+  v.drag = null;
+  if (moved) return;
+
+  v.selected = previewFaceAt(previewPoint(e));
+  drawPreview();
+  renderPreviewFace();
+});
+
+previewCanvas.addEventListener("pointerleave", () => {
+  previewTip.hidden = true;
+  if (previewView && previewView.hover !== -1) {
+    previewView.hover = -1;
+    drawPreview();
+  }
+});
+
+previewCanvas.addEventListener("dblclick", () => {
+  if (!previewView) return;
+  previewView.zoom = 1;
+  previewView.panX = 0;
+  previewView.panY = 0;
+  drawPreview();
+});
+
+btnZoomIn.addEventListener("click", () => zoomPreview(1.5));
+btnZoomOut.addEventListener("click", () => zoomPreview(1 / 1.5));
+btnZoomReset.addEventListener("click", () => zoomPreview(1 / PREVIEW_MAX_ZOOM));
+previewShowAll.addEventListener("change", drawPreview);
+
+// Actions for the clicked face: add it as a sample, or reject its match for this scan
+function renderPreviewFace() {
+  const v = previewView;
+  const fr = v?.faces[v.selected];
+  previewFace.innerHTML = "";
+  previewFace.hidden = !fr;
+  if (!fr) return;
+
+  const title = document.createElement("div");
+  title.className = "preview__facetitle";
+  title.textContent = faceLabel(fr);
+
+  const near = document.createElement("div");
+  near.className = "muted small";
+  near.textContent = fr.descriptor ? `Nearest: ${nearestPeopleText(fr)}` : "";
+
+  const row = document.createElement("div");
+  row.className = "row";
+
+  const target = document.createElement("select");
+  target.className = "select select--sm";
+  const opt0 = document.createElement("option");
+  opt0.value = "";
+  opt0.textContent = "Add as sample to…";
+  target.appendChild(opt0);
+  for (const p of people) {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.name;
+    target.appendChild(opt);
+  }
+  target.value = fr.best?.personId || "";
+
+  const btnAdd = document.createElement("button");
+  btnAdd.className = "btn btn--ghost btn--sm";
+  btnAdd.textContent = "Add sample";
+  btnAdd.disabled = !fr.descriptor;
+  btnAdd.onclick = () => {
+    const person = people.find((p) => p.id === target.value);
+    if (!person) return target.focus();
+    const source = previewSourceName(v);
+    const fresh = dedupeSamples([newSample(fr.descriptor, faceThumb(v.img, fr.box), source, fr.score)], person.samples);
+    person.samples.push(...fresh);
+    savePeople();
+    setStatus(scanStatus, fresh.length ? `Added sample to ${person.name}.` : `${person.name} already has this sample.`);
+  };
+
+  row.appendChild(target);
+  row.appendChild(btnAdd);
+
+  // false positive: this face is matched against everyone else (this scan only)
+  const sessionFace = v.index != null ? lastScan?.files[v.index]?.faces?.[v.selected] : null;
+  if (fr.best && sessionFace) {
+    const btnNot = document.createElement("button");
+    btnNot.className = "btn btn--danger btn--sm";
+    btnNot.textContent = `Not ${fr.best.name}`;
+    btnNot.title = "Mark as a false positive for this scan";
+    btnNot.onclick = () => {
+      sessionFace.exclude = [...(sessionFace.exclude || []), fr.best.personId];
+      rematchSession(lastScan, true);
+    };
+    row.appendChild(btnNot);
+  }
+  // negative example: changes future matching for everyone with this person selected
+  const matched = fr.best && people.find((p) => p.id === fr.best.personId);
+  if (matched && fr.descriptor) {
+    const btnNever = document.createElement("button");
+    btnNever.className = "btn btn--danger btn--sm";
+    btnNever.textContent = `Not ${matched.name} (remember)`;
+    btnNever.title = `Save as a negative example: faces closer to it than to ${matched.name}'s samples won't match them`;
+    btnNever.onclick = () => {
+      const source = previewSourceName(v);
+      const neg = newSample(fr.descriptor, faceThumb(v.img, fr.box), source, fr.score);
+      matched.negatives = [...(matched.negatives || []), ...dedupeSamples([neg], matched.negatives || [])];
+      savePeople();
+      setStatus(enrollStatus, `Saved a negative example for ${matched.name}.`);
+    };
+    row.appendChild(btnNever);
+  }
+  if (fr.exclude?.length && sessionFace) {
+    const btnUndo = document.createElement("button");
+    btnUndo.className = "btn btn--ghost btn--sm";
+    btnUndo.textContent = "Undo false positive";
+    btnUndo.onclick = () => {
+      sessionFace.exclude = [];
+      rematchSession(lastScan, true);
+    };
+    row.appendChild(btnUndo);
+  }
+
+  previewFace.appendChild(title);
+  previewFace.appendChild(near);
+  previewFace.appendChild(row);
+}
+
+// provenance for samples taken from the preview ("clip.mp4 @ 0:12" for video frames)
+function previewSourceName(v) {
+  if (v.at != null) return `${v.file.name} @ ${formatTimecode(v.at)}`;
+  return lastScan?.files[v.index]?.name || v.file.name;
+}
+
+// after re-matching: same photo, same zoom, fresh labels
+function refreshPreview(session) {
+  const v = previewView;
+  if (!v || v.index == null || session !== lastScan || !session.files[v.index]) return;
+  v.faces = session.files[v.index].faces;
+  drawPreview();
+  renderPreviewFace();
+}
+
+// -------------------- Unknown faces --------------------
+// Unmatched faces from the last scan, grouped by similarity, so someone who keeps
+// turning up can be enrolled in one click.
+const CLUSTER_MIN_PHOTOS = 2;  // groups seen in fewer photos aren't shown
+const CLUSTER_SHOW = 24;       // biggest groups only
+const CLUSTER_PICKS = 6;       // faces shown per group = samples taken from it (one per photo)
+
+function unknownFaces(session) {
+  const out = [];
+  session.files.forEach((f, fileIndex) => {
+    for (const face of f?.faces || []) {
+      if (face.best || !face.descriptor) continue;
+      out.push({ fileIndex, box: face.box, score: face.score, descriptor: face.descriptor });
+    }
+  });
+  return out;
+}
+
+// closest-to-centroid face of each photo, best first
+function clusterPicks(cluster) {
+  const perPhoto = new Map();
+  for (const m of cluster.members) {
+    const d = dist(m.descriptor, cluster.centroid);
+    const prev = perPhoto.get(m.fileIndex);
+    if (!prev || d < prev.d) perPhoto.set(m.fileIndex, { m, d });
+  }
+  return Array.from(perPhoto.values())
+    .sort((a, b) => a.d - b.d)
+    .map((x) => x.m);
+}
 
+async function renderUnknownClusters(session) {
+  clusterList.innerHTML = "";
+
+  const groups = clusterDescriptors(unknownFaces(session), parseFloat(threshold.value))
+    .map((c) => ({ ...c, picks: clusterPicks(c) }))
+    .filter((c) => c.picks.length >= CLUSTER_MIN_PHOTOS)
+    .sort((a, b) => b.picks.length - a.picks.length)
+    .slice(0, CLUSTER_SHOW);
+
+  countUnknown.textContent = String(groups.length);
+  if (!groups.length) {
+    const div = document.createElement("div");
+    div.className = "muted small";
+    div.textContent = "No unknown face showed up in more than one photo.";
+    clusterList.appendChild(div);
+    return;
+  }
+
+  const thumbs = new Map(); // pick → dataUrl
+  const slots = new Map();  // pick → <img>
+  groups.forEach((c, i) => clusterList.appendChild(renderClusterCard(session, c, i, thumbs, slots)));
+
+  // thumbnails once the cards are up; each photo is decoded once
+  const byFile = new Map();
+  for (const pick of slots.keys()) {
+    if (!byFile.has(pick.fileIndex)) byFile.set(pick.fileIndex, []);
+    byFile.get(pick.fileIndex).push(pick);
+  }
+  for (const [fileIndex, picks] of byFile) {
+    if (lastScan !== session) return; // a new scan started
     try {
-      let img;
-      try {
-        img = await fileToImage(file);
-      } catch (e) {
-        console.warn("Skipping unreadable image:", file.name, e);
-        continue;
+      const img = await fileToImage(session.sources[fileIndex]);
+      for (const pick of picks) {
+        thumbs.set(pick, faceThumb(img, pick.box));
+        slots.get(pick).src = thumbs.get(pick);
       }
+    } catch (e) {
+      console.warn("Cluster thumbnail failed:", session.files[fileIndex]?.name, e);
+    }
+    await yieldToUI();
+  }
+}
 
-      // skip huge images
-      const mp = (img.width * img.height) / 1_000_000;
-      if (mp > MAX_MEGAPIXELS) {
-        console.warn("Skipping huge scan image:", file.name, mp.toFixed(1), "MP");
-        continue;
-      }
+function renderClusterCard(session, cluster, index, thumbs, slots) {
+  const picks = cluster.picks.slice(0, CLUSTER_PICKS);
+
+  const card = document.createElement("div");
+  card.className = "cluster";
+
+  const head = document.createElement("div");
+  head.className = "cluster__head";
+  head.textContent =
+    `Unknown #${index + 1} • ${cluster.picks.length} photo(s) • ${cluster.members.length} face(s)`;
+
+  const strip = document.createElement("div");
+  strip.className = "cluster__strip";
+  for (const pick of picks) {
+    const im = document.createElement("img");
+    im.alt = "";
+    im.title = session.files[pick.fileIndex]?.name || "";
+    strip.appendChild(im);
+    slots.set(pick, im);
+  }
 
-      const { canvas, scale } = imageToDetectionCanvas(img, SCAN_MIN_SIDE, MAX_DIM_SCAN);
+  const actions = document.createElement("div");
+  actions.className = "cluster__actions";
+
+  const nameInput = document.createElement("input");
+  nameInput.className = "input input--sm cluster__name";
+  nameInput.placeholder = "Name";
+
+  const btnNew = document.createElement("button");
+  btnNew.className = "btn btn--ghost btn--sm";
+  btnNew.textContent = "New person";
+
+  const target = document.createElement("select");
+  target.className = "select select--sm";
+  const fillTargets = () => {
+    const current = target.value;
+    target.innerHTML = "";
+    const opt0 = document.createElement("option");
+    opt0.value = "";
+    opt0.textContent = "Add to…";
+    target.appendChild(opt0);
+    for (const p of people) {
+      const opt = document.createElement("option");
+      opt.value = p.id;
+      opt.textContent = p.name;
+      target.appendChild(opt);
+    }
+    target.value = current;
+  };
+  fillTargets();
+  target.onfocus = fillTargets; // people may have changed since the scan
+
+  const btnAdd = document.createElement("button");
+  btnAdd.className = "btn btn--ghost btn--sm";
+  btnAdd.textContent = "Add";
+
+  // same sample structure as a clicked enrollment crop; thumbs may still be loading
+  const enroll = (person) => {
+    const samples = picks.map((pick) =>
+      newSample(pick.descriptor, thumbs.get(pick) || null, session.files[pick.fileIndex].name, pick.score)
+    );
+    const fresh = dedupeSamples(samples, person.samples);
+    person.samples.push(...fresh);
+    savePeople({ clusters: false }); // keeps this card and its confirmation
+    actions.innerHTML = "";
+    actions.textContent = `Added ${fresh.length} sample(s) to ${person.name} ✓`;
+    setStatus(scanStatus, `Added ${fresh.length} sample(s) to ${person.name}. Scan again to update results.`);
+  };
+
+  btnNew.onclick = () => {
+    const name = nameInput.value.trim();
+    if (!name) return nameInput.focus();
+    const person = { id: uid(), name, samples: [] };
+    people.push(person);
+    enroll(person);
+  };
+  btnAdd.onclick = () => {
+    const person = people.find((p) => p.id === target.value);
+    if (person) enroll(person);
+  };
+
+  actions.appendChild(nameInput);
+  actions.appendChild(btnNew);
+  actions.appendChild(target);
+  actions.appendChild(btnAdd);
+
+  card.appendChild(head);
+  card.appendChild(strip);
+  card.appendChild(actions);
+  return card;
+}
 
-      const detections = await safeDetect(canvas, DETECTOR_SCAN, DETECTOR_FALLBACK);
-      const trimmed = detections.slice(0, MAX_FACES_PER_IMAGE_SCAN);
+// -------------------- Redaction --------------------
+// Blur / pixelate / solid box over matched faces, rendered at full original resolution.
+// Boxes are in original-image coords; hand edits are kept on the session file (redactBoxes).
+const REDACT_OUTPUT_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const REDACT_MIN_BOX = 8; // px (original coords); smaller hand-drawn boxes are dropped
 
-      // compute best match only for plausible detections
-      const faceResults = [];
-      for (const det of trimmed) {
-        if (!isPlausibleFace(det, scale, img)) continue;
+let redactEdit = null; // { index, img, boxes, selected, drag }
 
-        const desc = Array.from(det.descriptor);
-        const best = bestMatchForDescriptor(desc, thr);
-        faceResults.push({ det, best, scale });
-      }
+function redactSettings() {
+  return { style: redactStyle.value, padding: parseFloat(redactPadding.value) || 0 };
+}
 
-      const matchedFaces = faceResults.filter((fr) => fr.best);
-      const status = matchedFaces.length ? "flagged" : "clear";
-
-      const names = matchedFaces.length ? dedupeNames(matchedFaces.map((m) => m.best)) : [];
-      const label = names.length
-        ? `${names.slice(0, 3).join(", ")}${names.length > 3 ? ` +${names.length - 3}` : ""}`
-        : "—";
-
-      const row = document.createElement("div");
-      row.className = "result";
-
-      const left = document.createElement("div");
-      left.innerHTML = `
-        <div class="result__name">${escapeHtml(file.name)}</div>
-        <div class="result__sub">
-          ${trimmed.length} face(s) detected • ${status === "clear" ? "No matches" : `Matched: ${escapeHtml(label)}`}
-        </div>
-      `;
-
-      const right = document.createElement("div");
-      right.className = "result__right";
-
-      const tag = document.createElement("span");
-      tag.className = `tag ${status === "flagged" ? "tag--bad" : "tag--good"}`;
-      tag.textContent = status === "flagged" ? "MATCH" : "CLEAR";
-
-      const btnPrev = document.createElement("button");
-      btnPrev.className = "btn btn--ghost btn--sm";
-      btnPrev.textContent = "Preview";
-      btnPrev.onclick = () => drawPreview(img, faceResults);
-
-      right.appendChild(tag);
-      right.appendChild(btnPrev);
-
-      row.appendChild(left);
-      row.appendChild(right);
-
-      if (status === "flagged") {
-        resultsFlagged.appendChild(row);
-        flaggedCount++;
-        if (flaggedCount === 1) drawPreview(img, faceResults);
-      } else {
-        resultsClear.appendChild(row);
-        clearCount++;
-        if (flaggedCount === 0 && clearCount === 1) drawPreview(img, faceResults);
-      }
+// Possible and ambiguous faces too: a missed blur is worse than one too many, and the
+// editor (Redact on a result) can drop a box that turns out to be someone else
+function defaultRedactBoxes(file) {
+  return file.faces
+    .filter((f) => ["match", "possible", "ambiguous"].includes(f.best?.level))
+    .map((f) => ({ ...f.box }));
+}
+function redactBoxesFor(file) {
+  return file.redactBoxes || defaultRedactBoxes(file);
+}
 
-      countFlagged.textContent = String(flaggedCount);
-      countClear.textContent = String(clearCount);
+// padding is a fraction of the face size, clamped to the image
+function padBox(b, padding, imgW, imgH) {
+  const p = Math.min(b.width, b.height) * padding;
+  const x = Math.max(0, b.x - p);
+  const y = Math.max(0, b.y - p);
+  return {
+    x,
+    y,
+    width: Math.min(imgW, b.x + b.width + p) - x,
+    height: Math.min(imgH, b.y + b.height + p) - y,
+  };
+}
 
-    } catch (err) {
-      console.warn("Scan failed for file:", file.name, err);
-    } finally {
-      tfScopeEnd();     // ✅ frees tensors
-      await tfYield();  // ✅ keeps UI responsive
-      await yieldToUI();
+// Draws the redacted regions of img onto ctx (ctx already holds img at `scale`)
+function applyRedaction(ctx, img, boxes, { style, padding }, scale = 1) {
+  for (const box of boxes) {
+    const r = padBox(box, padding, img.width, img.height);
+    if (r.width < 1 || r.height < 1) continue;
+
+    const x = r.x * scale;
+    const y = r.y * scale;
+    const w = r.width * scale;
+    const h = r.height * scale;
+
+    if (style === "box") {
+      ctx.fillStyle = "#000";
+      ctx.fillRect(x, y, w, h);
+      continue;
     }
+
+    if (style === "pixelate") {
+      // ~10 blocks across the face, whatever its size
+      const cw = Math.max(1, Math.round(r.width / Math.max(4, r.width / 10)));
+      const ch = Math.max(1, Math.round((r.height / r.width) * cw));
+      const tmp = makeCanvas(cw, ch);
+      tmp.getContext("2d").drawImage(img, r.x, r.y, r.width, r.height, 0, 0, cw, ch);
+      ctx.save();
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(tmp, 0, 0, cw, ch, x, y, w, h);
+      ctx.restore();
+      continue;
+    }
+
+    // blur: clip to the box, draw a wider source region so edges blur too
+    const radius = Math.max(6, Math.min(r.width, r.height) / 6);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, w, h);
+    ctx.clip();
+    if (typeof ctx.filter === "string") {
+      const m = radius * 2;
+      const sx = Math.max(0, r.x - m);
+      const sy = Math.max(0, r.y - m);
+      const sw = Math.min(img.width, r.x + r.width + m) - sx;
+      const sh = Math.min(img.height, r.y + r.height + m) - sy;
+      ctx.filter = `blur(${radius * scale}px)`;
+      ctx.drawImage(img, sx, sy, sw, sh, sx * scale, sy * scale, sw * scale, sh * scale);
+      ctx.filter = "none";
+    } else {
+      // no ctx.filter (older Safari): heavy smooth downscale → upscale
+      const cw = Math.max(2, Math.round(r.width / radius));
+      const ch = Math.max(2, Math.round(r.height / radius));
+      const tmp = makeCanvas(cw, ch);
+      const tctx = tmp.getContext("2d");
+      tctx.imageSmoothingQuality = "high";
+      tctx.drawImage(img, r.x, r.y, r.width, r.height, 0, 0, cw, ch);
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = "high";
+      ctx.drawImage(tmp, 0, 0, cw, ch, x, y, w, h);
+    }
+    ctx.restore();
   }
+}
 
-  setStatus(
-    scanStatus,
-    `Done. Matched ${flaggedCount} • Clear ${clearCount}. Threshold ${thr.toFixed(2)}.`
-  );
-});
+function redactedName(path) {
+  const dot = path.lastIndexOf(".");
+  return dot > path.lastIndexOf("/") ? `${path.slice(0, dot)}-redacted${path.slice(dot)}` : `${path}-redacted`;
+}
 
-// -------------------- Preview --------------------
-function clearPreview() {
-  const ctx = previewCanvas.getContext("2d");
-  previewCanvas.width = 1;
-  previewCanvas.height = 1;
-  ctx.clearRect(0, 0, 1, 1);
+// Full-resolution redacted copy → { name, blob }
+async function renderRedactedFile(source, path, boxes, settings) {
+  const img = await fileToImage(source);
+  const canvas = document.createElement("canvas");
+  canvas.width = img.width;
+  canvas.height = img.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0);
+  applyRedaction(ctx, img, boxes, settings);
+
+  let type = REDACT_OUTPUT_TYPES.includes(source.type) ? source.type : "image/jpeg";
+  let name = redactedName(path);
+  if (type !== source.type) name = name.replace(/\.[^./]+$/, "") + ".jpg";
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, type, 0.92));
+  if (!blob) throw new Error("Could not encode redacted image");
+  return { name, blob };
 }
 
-function drawPreview(img, faceResults) {
-  const ctx = previewCanvas.getContext("2d");
-  const maxW = 1100;
-  const scaleCanvas = Math.min(1, maxW / img.width);
+// -------------------- Redaction editor --------------------
+async function openRedactEditor(index) {
+  const file = lastScan?.files[index];
+  if (!file) return;
+
+  let img;
+  try {
+    img = await fileToImage(lastScan.sources[index]);
+  } catch (e) {
+    console.warn("Redact: could not open", file.name, e);
+    return setStatus(scanStatus, `Could not open ${file.name} for redaction.`);
+  }
+
+  redactEdit = { index, img, boxes: redactBoxesFor(file).map((b) => ({ ...b })), selected: -1, drag: null };
+  redactDialogTitle.textContent = `Redact — ${file.name}`;
+  drawRedactEditor();
+  if (!redactDialog.open) redactDialog.showModal();
+}
 
-  previewCanvas.width = Math.round(img.width * scaleCanvas);
-  previewCanvas.height = Math.round(img.height * scaleCanvas);
+function drawRedactEditor() {
+  if (!redactEdit) return;
+  const { img, boxes, selected } = redactEdit;
+  const maxW = 1000;
+  const scale = Math.min(1, maxW / img.width);
 
-  ctx.clearRect(0, 0, previewCanvas.width, previewCanvas.height);
-  ctx.drawImage(img, 0, 0, previewCanvas.width, previewCanvas.height);
+  redactCanvas.width = Math.round(img.width * scale);
+  redactCanvas.height = Math.round(img.height * scale);
+  const ctx = redactCanvas.getContext("2d");
+  ctx.drawImage(img, 0, 0, redactCanvas.width, redactCanvas.height);
+  if (redactLive.checked) applyRedaction(ctx, img, boxes, redactSettings(), scale);
 
   ctx.lineWidth = 2;
-  ctx.font = "14px system-ui";
-  ctx.textBaseline = "top";
+  boxes.forEach((b, i) => {
+    ctx.strokeStyle = i === selected ? "#58a6bf" : "#b00020";
+    ctx.strokeRect(b.x * scale, b.y * scale, b.width * scale, b.height * scale);
+    if (i === selected) {
+      // resize handle (bottom-right)
+      ctx.fillStyle = "#58a6bf";
+      ctx.fillRect((b.x + b.width) * scale - 5, (b.y + b.height) * scale - 5, 10, 10);
+    }
+  });
 
-  // ✅ ONLY DRAW MATCHED FACES
-  for (const fr of faceResults) {
-    if (!fr.best) continue;
+  setStatus(redactInfo, `${boxes.length} box(es). Drag on the photo to add • drag a box to move • drag its corner to resize.`);
+  btnRedactDelete.disabled = selected < 0;
+}
+
+// pointer → original-image coords (canvas is CSS-scaled)
+function redactPoint(e) {
+  const rect = redactCanvas.getBoundingClientRect();
+  const k = redactEdit.img.width / rect.width;
+  return { x: (e.clientX - rect.left) * k, y: (e.clientY - rect.top) * k, k };
+}
+
+function normalizeBox(b, img) {
+  const x = Math.max(0, Math.min(b.x, b.x + b.width));
+  const y = Math.max(0, Math.min(b.y, b.y + b.height));
+  return {
+    x,
+    y,
+    width: Math.min(img.width, Math.max(b.x, b.x + b.width)) - x,
+    height: Math.min(img.height, Math.max(b.y, b.y + b.height)) - y,
+  };
+}
+
+redactCanvas.addEventListener("pointerdown", (e) => {
+  if (!redactEdit) return;
+  const p = redactPoint(e);
+  const { boxes } = redactEdit;
+  const handle = 10 * p.k;
+
+  const sel = boxes[redactEdit.selected];
+  if (sel && Math.abs(p.x - (sel.x + sel.width)) < handle && Math.abs(p.y - (sel.y + sel.height)) < handle) {
+    redactEdit.drag = { mode: "resize", box: sel };
+  } else {
+    // topmost box under the pointer
+    let hit = -1;
+    for (let i = boxes.length - 1; i >= 0; i--) {
+      const b = boxes[i];
+      if (p.x >= b.x && p.x <= b.x + b.width && p.y >= b.y && p.y <= b.y + b.height) { hit = i; break; }
+    }
+    if (hit >= 0) {
+      redactEdit.selected = hit;
+      redactEdit.drag = { mode: "move", box: boxes[hit], dx: p.x - boxes[hit].x, dy: p.y - boxes[hit].y };
+    } else {
+      const box = { x: p.x, y: p.y, width: 0, height: 0 };
+      boxes.push(box);
+      redactEdit.selected = boxes.length - 1;
+      redactEdit.drag = { mode: "draw", box, ox: p.x, oy: p.y };
+    }
+  }
+  redactCanvas.setPointerCapture(e.pointerId);
+  drawRedactEditor();
+});
+
+redactCanvas.addEventListener("pointermove", (e) => {
+  const drag = redactEdit?.drag;
+  if (!drag) return;
+  const p = redactPoint(e);
+  const { img } = redactEdit;
+  const b = drag.box;
+
+  if (drag.mode === "move") {
+    b.x = Math.max(0, Math.min(img.width - b.width, p.x - drag.dx));
+    b.y = Math.max(0, Math.min(img.height - b.height, p.y - drag.dy));
+  } else if (drag.mode === "resize") {
+    b.width = Math.max(REDACT_MIN_BOX, Math.min(img.width, p.x) - b.x);
+    b.height = Math.max(REDACT_MIN_BOX, Math.min(img.height, p.y) - b.y);
+  } else {
+    Object.assign(b, normalizeBox({ x: drag.ox, y: drag.oy, width: p.x - drag.ox, height: p.y - drag.oy }, img));
+  }
+  drawRedactEditor();
+});
+
+redactCanvas.addEventListener("pointerup", () => {
+  if (!redactEdit?.drag) return;
+  const { box } = redactEdit.drag;
+  redactEdit.drag = null;
+  if (box.width < REDACT_MIN_BOX || box.height < REDACT_MIN_BOX) {
+    redactEdit.boxes = redactEdit.boxes.filter((b) => b !== box);
+    redactEdit.selected = -1;
+  }
+  drawRedactEditor();
+});
+
+function deleteSelectedRedactBox() {
+  if (!redactEdit || redactEdit.selected < 0) return;
+  redactEdit.boxes.splice(redactEdit.selected, 1);
+  redactEdit.selected = -1;
+  drawRedactEditor();
+}
+
+// keep hand edits for batch export
+function commitRedactEdits() {
+  if (!redactEdit) return;
+  lastScan.files[redactEdit.index].redactBoxes = redactEdit.boxes.map((b) => ({ ...b }));
+}
+
+btnRedactDelete.addEventListener("click", deleteSelectedRedactBox);
+redactDialog.addEventListener("keydown", (e) => {
+  if (e.key !== "Delete" && e.key !== "Backspace") return;
+  if (["INPUT", "SELECT", "TEXTAREA"].includes(e.target.tagName)) return;
+  deleteSelectedRedactBox();
+});
+
+btnRedactReset.addEventListener("click", () => {
+  if (!redactEdit) return;
+  redactEdit.boxes = defaultRedactBoxes(lastScan.files[redactEdit.index]);
+  redactEdit.selected = -1;
+  drawRedactEditor();
+});
+
+redactLive.addEventListener("change", drawRedactEditor);
+redactStyle.addEventListener("change", drawRedactEditor);
+redactPadding.addEventListener("input", () => {
+  redactPadVal.textContent = `${Math.round(parseFloat(redactPadding.value) * 100)}%`;
+  drawRedactEditor();
+});
+
+btnRedactDownload.addEventListener("click", async () => {
+  if (!redactEdit) return;
+  commitRedactEdits();
+  const { index, boxes } = redactEdit;
+  try {
+    const out = await renderRedactedFile(lastScan.sources[index], lastScan.files[index].name, boxes, redactSettings());
+    downloadBlob(out.blob, out.name.split("/").pop());
+  } catch (e) {
+    console.error(e);
+    setStatus(redactInfo, `Redaction failed: ${e.message || e}`);
+  }
+});
+
+btnRedactDone.addEventListener("click", () => {
+  commitRedactEdits();
+  redactDialog.close();
+});
+redactDialog.addEventListener("close", () => {
+  redactEdit = null;
+});
 
-    const detScale = fr.scale || 1;
-    const b = fr.det.detection.box;
+// -------------------- Batch redaction --------------------
+btnRedactBatch.addEventListener("click", async () => {
+  if (!lastScan) return;
+  const targets = lastScan.files
+    .map((f, i) => ({ f, i }))
+    .filter(({ f }) => f && f.kind !== "video" && (f.redactBoxes ? f.redactBoxes.length : f.status === "flagged" || f.status === "possible"));
+  if (!targets.length) {
+    return setStatus(scanStatus, "Nothing to redact: no flagged or possible photos (or all boxes removed).");
+  }
+
+  const settings = redactSettings();
+  const asZip = redactOutput.value === "zip";
+  btnRedactBatch.disabled = true;
+
+  const outputs = [];
+  let failed = 0;
+  try {
+    for (let n = 0; n < targets.length; n++) {
+      const { f, i } = targets[n];
+      setStatus(scanStatus, `Redacting ${n + 1} / ${targets.length}…`);
+      try {
+        const out = await renderRedactedFile(lastScan.sources[i], f.name, redactBoxesFor(f), settings);
+        if (asZip) outputs.push(out);
+        else downloadBlob(out.blob, out.name.split("/").pop());
+      } catch (e) {
+        failed++;
+        console.warn("Redaction failed:", f.name, e);
+      }
+      await yieldToUI();
+    }
+
+    if (asZip && outputs.length) {
+      setStatus(scanStatus, "Building zip…");
+      const stamp = (lastScan.finishedAt || lastScan.startedAt).slice(0, 19).replace(/[:T]/g, "-");
+      downloadBlob(await makeZip(outputs), `dnu-redacted-${stamp}.zip`);
+    }
+    setStatus(
+      scanStatus,
+      `Redacted ${targets.length - failed} photo(s)${failed ? ` • ${failed} failed (see console)` : ""}.`
+    );
+  } finally {
+    btnRedactBatch.disabled = false;
+  }
+});
+
+// -------------------- Sample gallery --------------------
+let galleryPersonId = null;
+
+function openSampleGallery(personId) {
+  galleryPersonId = personId;
+  renderSampleGallery();
+  if (!sampleDialog.open) sampleDialog.showModal();
+}
+
+function renderSampleGallery() {
+  const person = people.find((p) => p.id === galleryPersonId);
+  sampleGallery.innerHTML = "";
+  if (!person) {
+    sampleDialog.close();
+    return;
+  }
+
+  sampleDialogTitle.textContent = `${person.name} — ${samplesLabel(person)}`;
+
+  if (!person.samples.length) {
+    const div = document.createElement("div");
+    div.className = "muted small";
+    div.textContent = "No samples yet.";
+    sampleGallery.appendChild(div);
+  }
+
+  for (const s of person.samples) {
+    const tile = document.createElement("div");
+    tile.className = `sample${s.disabled ? " sample--off" : ""}`;
+
+    if (s.thumb) {
+      const im = document.createElement("img");
+      im.src = s.thumb;
+      im.alt = s.source || "sample";
+      tile.appendChild(im);
+    } else {
+      const ph = document.createElement("div");
+      ph.className = "sample__nothumb";
+      ph.textContent = "no thumbnail";
+      tile.appendChild(ph);
+    }
+
+    const meta = document.createElement("div");
+    meta.className = "sample__meta";
+    meta.innerHTML = `
+      <div class="sample__src" title="${escapeHtml(s.source || "")}">${escapeHtml(s.source || "unknown source")}</div>
+      <div>${s.addedAt ? escapeHtml(new Date(s.addedAt).toLocaleString()) : "date unknown"}</div>
+      <div>${s.score != null ? `detection ${Math.round(s.score * 100)}%` : ""}${s.disabled ? " • disabled" : ""}</div>
+    `;
+    tile.appendChild(meta);
 
-    const ox = b.x / detScale;
-    const oy = b.y / detScale;
-    const ow = b.width / detScale;
-    const oh = b.height / detScale;
+    const actions = document.createElement("div");
+    actions.className = "sample__actions";
+
+    const toggleBtn = document.createElement("button");
+    toggleBtn.className = "btn btn--ghost btn--sm";
+    toggleBtn.textContent = s.disabled ? "Enable" : "Disable";
+    toggleBtn.onclick = () => {
+      s.disabled = !s.disabled;
+      savePeople({ clusters: false });
+      renderSampleGallery();
+    };
+
+    const delBtn = document.createElement("button");
+    delBtn.className = "btn btn--danger btn--sm";
+    delBtn.textContent = "Delete";
+    delBtn.onclick = () => {
+      person.samples = person.samples.filter((x) => x.id !== s.id);
+      savePeople();
+      renderSampleGallery();
+    };
 
-    const x = ox * scaleCanvas;
-    const y = oy * scaleCanvas;
-    const w = ow * scaleCanvas;
-    const h = oh * scaleCanvas;
+    actions.appendChild(toggleBtn);
+    actions.appendChild(delBtn);
+    tile.appendChild(actions);
+    sampleGallery.appendChild(tile);
+  }
+
+  renderNegatives(person);
+}
+
+// "Not this person" faces saved from scan previews
+function renderNegatives(person) {
+  if (!person.negatives?.length) return;
+
+  const head = document.createElement("div");
+  head.className = "samples__head";
+  head.innerHTML = `<b>Not ${escapeHtml(person.name)}</b> <span class="muted small">— faces closer to one of these than to the samples above never match ${escapeHtml(person.name)}</span>`;
+  sampleGallery.appendChild(head);
+
+  for (const s of person.negatives) {
+    const tile = document.createElement("div");
+    tile.className = "sample sample--neg";
+
+    if (s.thumb) {
+      const im = document.createElement("img");
+      im.src = s.thumb;
+      im.alt = s.source || "negative";
+      tile.appendChild(im);
+    } else {
+      const ph = document.createElement("div");
+      ph.className = "sample__nothumb";
+      ph.textContent = "no thumbnail";
+      tile.appendChild(ph);
+    }
 
-    const stroke = "#b00020"; // red
-    ctx.strokeStyle = stroke;
-    ctx.strokeRect(x, y, w, h);
+    const meta = document.createElement("div");
+    meta.className = "sample__meta";
+    meta.innerHTML = `
+      <div class="sample__src" title="${escapeHtml(s.source || "")}">${escapeHtml(s.source || "unknown source")}</div>
+      <div>${s.addedAt ? escapeHtml(new Date(s.addedAt).toLocaleString()) : "date unknown"}</div>
+    `;
+    tile.appendChild(meta);
 
-    const label = `MATCH: ${fr.best.name} (${fr.best.confidence}%)`;
+    const actions = document.createElement("div");
+    actions.className = "sample__actions";
 
-    const pad = 4;
-    const tw = ctx.measureText(label).width;
+    const delBtn = document.createElement("button");
+    delBtn.className = "btn btn--ghost btn--sm";
+    delBtn.textContent = "Remove";
+    delBtn.onclick = () => {
+      person.negatives = person.negatives.filter((x) => x.id !== s.id);
+      savePeople();
+      renderSampleGallery();
+    };
 
-    ctx.fillStyle = stroke;
-    ctx.fillRect(x, y, tw + pad * 2, 18 + pad);
-    ctx.fillStyle = "#fff";
-    ctx.fillText(label, x + pad, y + pad);
+    actions.appendChild(delBtn);
+    tile.appendChild(actions);
+    sampleGallery.appendChild(tile);
   }
 }
 
+btnCloseSamples.addEventListener("click", () => sampleDialog.close());
+
 // -------------------- Export / Import --------------------
+// Format + validation: people-io.js
+const MIN_PASSPHRASE = 10;
+
 btnExport.addEventListener("click", () => {
-  const blob = new Blob([JSON.stringify({ version: 2, people }, null, 2)], { type: "application/json" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = "dnu-people.json";
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  exportEncrypt.checked = true;
+  exportPass.value = "";
+  exportPass2.value = "";
+  setStatus(exportError, "");
+  syncExportForm();
+  exportDialog.showModal();
+});
+
+function syncExportForm() {
+  exportPassFields.hidden = !exportEncrypt.checked;
+  btnExportConfirm.textContent = exportEncrypt.checked ? "Download encrypted" : "Download plain JSON";
+}
+exportEncrypt.addEventListener("change", syncExportForm);
+btnExportCancel.addEventListener("click", () => exportDialog.close());
+
+// "dnu-people" (+ "-<workspace>" outside the default one)
+function exportBaseName() {
+  const slug = activeWorkspace === DEFAULT_WORKSPACE
+    ? ""
+    : (workspaceById(activeWorkspace)?.name || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-+|-+$/g, "");
+  return slug ? `dnu-people-${slug}` : "dnu-people";
+}
+
+btnExportConfirm.addEventListener("click", async () => {
+  const payload = { version: PEOPLE_FORMAT_VERSION, people };
+
+  if (!exportEncrypt.checked) {
+    downloadBlob(new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" }), `${exportBaseName()}.json`);
+    exportDialog.close();
+    return;
+  }
+
+  const pass = exportPass.value;
+  if (pass.length < MIN_PASSPHRASE) return setStatus(exportError, `Use at least ${MIN_PASSPHRASE} characters.`);
+  if (pass !== exportPass2.value) return setStatus(exportError, "Passphrases don’t match.");
+
+  btnExportConfirm.disabled = true;
+  setStatus(exportError, "Encrypting…");
+  try {
+    const env = await encryptPeopleExport(payload, pass);
+    downloadBlob(new Blob([JSON.stringify(env)], { type: "application/json" }), `${exportBaseName()}.encrypted.json`);
+    exportDialog.close();
+  } catch (e) {
+    console.error(e);
+    setStatus(exportError, `Encryption failed: ${e.message || e}`);
+  } finally {
+    btnExportConfirm.disabled = false;
+  }
+});
+
+// Resolves with the passphrase, or null when cancelled
+function askPassphrase(fileName, error = "") {
+  return new Promise((resolve) => {
+    setStatus(passFileName, fileName);
+    setStatus(passError, error);
+    passInput.value = "";
+    passDialog.showModal();
+    passInput.focus();
+
+    const done = (value) => {
+      btnPassOk.onclick = null;
+      btnPassCancel.onclick = null;
+      passDialog.onclose = null;
+      passDialog.close();
+      resolve(value);
+    };
+    btnPassOk.onclick = () => done(passInput.value);
+    btnPassCancel.onclick = () => done(null);
+    passDialog.onclose = () => done(null);
+  });
+}
+passInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") btnPassOk.click();
 });
 
+// Plain JSON passes through; envelopes prompt until decrypted or cancelled
+async function unwrapImport(parsed, fileName) {
+  if (!isEncryptedEnvelope(parsed)) return parsed;
+
+  let error = "";
+  for (;;) {
+    const pass = await askPassphrase(fileName, error);
+    if (pass == null) return null;
+    try {
+      return await decryptPeopleExport(parsed, pass);
+    } catch (e) {
+      error = e.message || String(e);
+      // a damaged header won't get better with another passphrase
+      if (!/passphrase/i.test(error)) throw e;
+    }
+  }
+}
+
 btnImport.addEventListener("click", () => importFile.click());
 
 importFile.addEventListener("change", async () => {
   const f = importFile.files?.[0];
   if (!f) return;
   try {
-    const parsed = JSON.parse(await f.text());
-    if (!parsed?.people || !Array.isArray(parsed.people)) throw new Error("Invalid format");
-    people = parsed.people;
-    syncSelection();
-    savePeople();
-    setStatus(enrollStatus, "Imported people list.");
-    setStatus(scanStatus, "Imported people list.");
+    let parsed;
+    try {
+      parsed = JSON.parse(await f.text());
+    } catch {
+      return setStatus(enrollStatus, "Import failed (bad JSON).");
+    }
+
+    try {
+      parsed = await unwrapImport(parsed, f.name);
+    } catch (e) {
+      return setStatus(enrollStatus, `Import failed: ${e.message || e}`);
+    }
+    if (parsed == null) return setStatus(enrollStatus, "Import cancelled.");
+
+    const checked = validatePeopleFile(parsed);
+    if (checked.fatal) return setStatus(enrollStatus, `Import failed: ${checked.fatal}`);
+
+    pendingImport = { fileName: f.name, ...checked };
+    renderImportPreview();
+    importDialog.showModal();
   } catch (e) {
     console.error(e);
-    setStatus(enrollStatus, "Import failed (bad JSON).");
+    setStatus(enrollStatus, "Import failed.");
   } finally {
     importFile.value = "";
-    updateButtons();
   }
 });
 
+// -------------------- Import dialog --------------------
+let pendingImport = null; // { fileName, version, people, errors }
+
+function importMode() {
+  return importDialog.querySelector("input[name=importMode]:checked")?.value || "name";
+}
+
+function renderImportPreview() {
+  if (!pendingImport) return;
+  const { fileName, version, people: incoming, errors } = pendingImport;
+  const plan = planPeopleImport(people, incoming, importMode());
+  const sampleCount = incoming.reduce((sum, p) => sum + p.samples.length, 0);
+
+  setStatus(importSource, `${fileName} • format v${version} • ${incoming.length} valid people, ${sampleCount} samples`);
+
+  const list = (items) => `<ul>${items.map((t) => `<li>${escapeHtml(t)}</li>`).join("")}</ul>`;
+  const blocks = [];
+
+  if (importMode() === "replace") {
+    blocks.push(`<div class="import__line tag--bad">Replaces your ${plan.removed} people (and their samples).</div>`);
+  }
+  blocks.push(`<div class="import__line"><b>Add</b> ${plan.added.length} people</div>`);
+  if (plan.added.length) blocks.push(list(plan.added.slice(0, 50).concat(plan.added.length > 50 ? [`… +${plan.added.length - 50} more`] : [])));
+  if (plan.updated.length) {
+    blocks.push(`<div class="import__line"><b>Update</b> ${plan.updated.length} people</div>`);
+    blocks.push(list(plan.updated.map((u) =>
+      `${u.name}: +${u.samples} new sample(s)${u.negatives ? `, +${u.negatives} negative(s)` : ""}${u.tags ? `, +${u.tags} group(s)` : ""}`
+    )));
+  }
+  if (plan.unchanged) blocks.push(`<div class="import__line muted">${plan.unchanged} already up to date (duplicate samples skipped)</div>`);
+  if (plan.conflicts.length) {
+    blocks.push(`<div class="import__line tag--warn"><b>Conflicts</b> ${plan.conflicts.length}</div>`);
+    blocks.push(list(plan.conflicts.map((c) => `${c.name}: ${c.reason}`)));
+  }
+  importPreview.innerHTML = blocks.join("");
+
+  importErrorsWrap.hidden = !errors.length;
+  importErrorsSummary.textContent = `${errors.length} problem(s) in the file — those entries will not be imported`;
+  importErrors.innerHTML = errors.map((e) => `<li>${escapeHtml(e)}</li>`).join("");
+
+  btnImportConfirm.disabled = !plan.added.length && !plan.updated.length && importMode() !== "replace";
+  pendingImport.plan = plan;
+}
+
+importDialog.addEventListener("change", (e) => {
+  if (e.target.name === "importMode") renderImportPreview();
+});
+
+btnImportConfirm.addEventListener("click", () => {
+  const plan = pendingImport?.plan;
+  if (!plan) return;
+  people = plan.people;
+  syncSelection();
+  savePeople();
+
+  const msg = `Imported: +${plan.added.length} people, ${plan.updated.length} updated` +
+    `${plan.conflicts.length ? `, ${plan.conflicts.length} conflict(s) skipped` : ""}.`;
+  setStatus(enrollStatus, msg);
+  setStatus(scanStatus, msg);
+  importDialog.close();
+});
+
+btnImportCancel.addEventListener("click", () => importDialog.close());
+importDialog.addEventListener("close", () => {
+  pendingImport = null;
+  updateButtons();
+});
+
 // -------------------- Help dialog --------------------
 btnHelp.addEventListener("click", () => helpDialog.showModal());
 btnCloseHelp.addEventListener("click", () => helpDialog.close());
@@ -850,6 +3679,36 @@ helpDialog.addEventListener("click", (e) => {
   if (!inDialog) helpDialog.close();
 });
 
+// -------------------- Embedding API --------------------
+// element.scanner (scanner-api.js) enrolls into and scans against this page's people list,
+// with the scan detector and sliders as set here. Its events fire on the element.
+const { scanner: scannerApi, emit: emitScannerEvent } = createOwnedScanner({
+  modelUrl: MODEL_URL,
+  target: scannerHost || undefined,
+  store: {
+    get: () => people,
+    set: (list) => {
+      people = list;
+      savePeople();
+    },
+  },
+});
+
+function syncScannerSettings() {
+  scannerApi.configure({
+    detector: detectorChoice.scan,
+    threshold: parseFloat(threshold.value),
+    borderline: parseFloat(borderline.value) || 0,
+    margin: parseFloat(ambiguity.value) || 0,
+    tiled: scanTiled.checked,
+  });
+}
+for (const input of [threshold, borderline, ambiguity, scanDetector, scanTiled]) {
+  input.addEventListener("change", syncScannerSettings);
+}
+threshold.addEventListener("input", syncScannerSettings);
+syncScannerSettings();
+if (scannerHost) scannerHost.scanner = scannerApi;
+
 // -------------------- Init --------------------
-syncSelection();
-renderAll();
+initStore();
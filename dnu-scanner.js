@@ -0,0 +1,491 @@
+// dnu-scanner.js — <dnu-scanner>: the people / enroll / scan UI as one tag
+//   <dnu-scanner model-url="/models" threshold="0.5"></dnu-scanner>
+// - Renders the UI into its own shadow root (with styles.css linked inside), so its ids,
+//   form controls and styles never mix with the host page's; app.js then wires it up,
+//   finding the controls by id in that root. One per page, in the HTML before app.js runs.
+// - model-url: where the face-api weights live (default /models); read once, at start
+// - threshold: starting match distance; changing it later moves the slider (and re-sorts)
+// - element.scanner: the createScanner() API (scanner-api.js) bound to this UI's people list;
+//   its progress / result / done events fire on the element, for scans started in the UI too
+// - Loads before face-api so the UI shows while the models download
+
+const DNU_SCANNER_STYLES = new URL("./styles.css", document.currentScript?.src || location.href).href;
+
+const DNU_SCANNER_MARKUP = `
+<header class="topbar">
+  <div class="wrap topbar__inner">
+    <div class="brand">
+      <div class="brand__logo">DNU</div>
+      <div class="brand__text">
+        <div class="brand__title">Do Not Use Scanner</div>
+        <div class="brand__sub">Client-side face matching • runs in your browser</div>
+      </div>
+    </div>
+
+    <div class="topbar__actions">
+      <button id="btnHelp" class="btn btn--ghost">Help</button>
+      <button id="btnExport" class="btn btn--ghost">Export People</button>
+      <button id="btnImport" class="btn btn--ghost">Import People</button>
+      <input id="importFile" type="file" accept="application/json" hidden />
+    </div>
+  </div>
+</header>
+
+<main class="wrap main">
+  <section class="panel panel--people">
+    <div class="panel__head">
+      <h2>People (Do Not Use)</h2>
+      <div class="muted" id="peopleCount">0 people</div>
+    </div>
+
+    <div class="workspace">
+      <select id="workspaceSelect" class="select" title="Workspace: a separate people list with its own samples and scan selection"></select>
+      <button id="btnWorkspaceNew" class="btn btn--ghost btn--sm">New</button>
+      <button id="btnWorkspaceDuplicate" class="btn btn--ghost btn--sm">Duplicate</button>
+      <button id="btnWorkspaceRename" class="btn btn--ghost btn--sm">Rename</button>
+      <button id="btnWorkspaceDelete" class="btn btn--ghost btn--sm">Delete</button>
+    </div>
+
+    <div class="people__add">
+      <input id="personName" class="input" placeholder="Add person name (e.g., John DNU)" />
+      <button id="btnAddPerson" class="btn btn--primary">Add</button>
+    </div>
+
+    <div class="alert" id="storageStatus" role="alert" hidden></div>
+
+    <div class="people__list" id="peopleList"></div>
+
+    <div class="people__foot">
+      <button id="btnCalibrate" class="btn btn--ghost btn--block" title="Suggest a threshold per person from their samples and everyone else's">Auto-calibrate thresholds</button>
+      <button id="btnClearAll" class="btn btn--danger btn--block">Clear All People</button>
+      <div class="fineprint">
+        Tip: add 3–8 face samples per person (different angles/lighting). More samples = fewer misses.
+      </div>
+    </div>
+  </section>
+
+  <section class="panel panel--work">
+    <div class="panel__head">
+      <h2>Enroll + Scan</h2>
+      <div class="muted" id="modelStatus">Loading models…</div>
+    </div>
+
+    <div class="grid2">
+      <!-- Enroll -->
+      <div class="card">
+        <div class="card__title">1) Add face samples</div>
+        <div class="card__sub">Select a person, upload photos, then click face crops to add samples.</div>
+
+        <div class="row">
+          <select id="personSelect" class="select"></select>
+          <select id="enrollDetector" class="select select--sm" title="Face detector used for enrollment"></select>
+          <label class="btn btn--ghost">
+            Upload Photos
+            <input id="enrollInput" type="file" accept="image/*" multiple hidden />
+          </label>
+          <button id="btnCamera" class="btn btn--ghost" title="Capture samples live, guided through a few head poses">Camera…</button>
+          <button id="btnBulkEnroll" class="btn btn--ghost" title="A folder with one subfolder per person">Bulk enroll…</button>
+          <input id="bulkFolderInput" type="file" webkitdirectory multiple hidden />
+        </div>
+
+        <div class="drop" id="enrollDrop">
+          <div class="drop__title">Drag photos here</div>
+          <div class="drop__sub">We’ll detect faces and show crops you can click to add.</div>
+        </div>
+
+        <div class="muted small" id="enrollStatus"></div>
+        <div class="crops" id="crops"></div>
+      </div>
+
+      <!-- Scan -->
+      <div class="card">
+        <div class="card__title">2) Scan photos</div>
+        <div class="card__sub">Upload a batch. We’ll flag photos that contain restricted people.</div>
+
+        <!-- People filter -->
+        <div class="filter">
+          <div class="filter__top">
+            <div><b>Scan against</b> <span class="muted">(choose people)</span></div>
+            <div class="filter__actions">
+              <button id="btnAll" class="btn btn--ghost btn--sm">All</button>
+              <button id="btnNone" class="btn btn--ghost btn--sm">None</button>
+            </div>
+          </div>
+          <div id="scanGroups" class="filter__groups"></div>
+          <div id="scanPeople" class="filter__list"></div>
+          <div class="muted small">Tip: uncheck someone temporarily instead of deleting them. Click a group to scan just its people (Shift-click to add one).</div>
+        </div>
+
+        <div class="row" style="margin-top:10px;">
+          <label class="btn btn--primary">
+            Upload Batch
+            <input id="scanInput" type="file" accept="image/*,video/*" multiple hidden />
+          </label>
+          <button id="btnScanFolder" class="btn btn--ghost">Folder…</button>
+          <input id="scanFolderInput" type="file" webkitdirectory multiple hidden />
+          <button id="btnScan" class="btn btn--ghost" disabled>Scan</button>
+          <select id="scanDetector" class="select select--sm" title="Face detector used for scanning"></select>
+        </div>
+        <div class="drop" id="scanDrop">
+          <div class="drop__title">Drag photos, videos or folders here</div>
+          <div class="drop__sub">Folders are scanned recursively; results keep each file’s relative path.</div>
+        </div>
+        <div class="muted small" id="scanQueueInfo"></div>
+
+        <label class="opt muted small" title="Decode the next few photos while the current one is scanned (uses more memory)">
+          <input id="parallelDecode" type="checkbox" checked /> Parallel decode
+        </label>
+        <label class="opt muted small" title="Large photos are checked in overlapping full-resolution tiles instead of being shrunk, with no cap on faces (group and class photos). Much slower.">
+          <input id="scanTiled" type="checkbox" /> High coverage (tiled)
+        </label>
+        <label class="opt muted small" title="Videos are checked one frame at a time; shorter = slower but catches brief appearances">
+          Video: a frame every
+          <input id="videoInterval" class="input input--sm" type="number" min="0.2" max="10" step="0.1" value="1" /> s
+        </label>
+        <button id="btnClearCache" class="btn btn--ghost btn--sm" title="Photos scanned before are remembered (faces only, not the images) so re-scans are instant">Clear detection cache</button>
+
+        <!-- Threshold + borderline band -->
+        <div class="slider">
+          <div class="slider__top">
+            <div><b>Match threshold</b> <span class="muted">(lower = stricter)</span></div>
+            <div class="pill">Distance: <span id="thrVal">0.52</span></div>
+          </div>
+          <input id="threshold" type="range" min="0.35" max="0.75" step="0.01" value="0.52" />
+          <div class="muted small">
+            Typical: 0.45–0.60. Flagged = below threshold. Possible = slightly above (borderline).
+          </div>
+        </div>
+
+        <div class="slider">
+          <div class="slider__top">
+            <div><b>Borderline band</b> <span class="muted">(0 = off)</span></div>
+            <div class="pill">+<span id="bandVal">0.06</span></div>
+          </div>
+          <input id="borderline" type="range" min="0" max="0.15" step="0.01" value="0.06" />
+          <div class="muted small">
+            Faces between threshold and threshold + band go to <b>Possible</b>.
+          </div>
+        </div>
+
+        <div class="slider">
+          <div class="slider__top">
+            <div><b>Ambiguity margin</b> <span class="muted">(0 = off)</span></div>
+            <div class="pill"><span id="marginVal">0.04</span></div>
+          </div>
+          <input id="ambiguity" type="range" min="0" max="0.15" step="0.01" value="0.04" />
+          <div class="muted small">
+            A match must beat the next-closest person by this much, or it goes to <b>Possible</b> as ambiguous.
+          </div>
+        </div>
+
+        <div class="scanctl" id="scanControls" hidden>
+          <progress id="scanProgress" class="scanctl__bar" value="0" max="1"></progress>
+          <div class="row">
+            <div class="muted small scanctl__info" id="scanProgressInfo"></div>
+            <button id="btnPauseScan" class="btn btn--ghost btn--sm">Pause</button>
+            <button id="btnCancelScan" class="btn btn--danger btn--sm">Cancel</button>
+          </div>
+        </div>
+
+        <div class="muted small" id="scanStatus"></div>
+
+        <div class="row report">
+          <select id="reportFormat" class="select select--sm" title="Report format">
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+            <option value="html">HTML (with thumbnails)</option>
+          </select>
+          <button id="btnReport" class="btn btn--ghost btn--sm" disabled>Download report</button>
+        </div>
+
+        <!-- Redaction -->
+        <div class="redact">
+          <div class="redact__top">
+            <div><b>Redaction</b> <span class="muted">(matched and possible faces, full resolution)</span></div>
+            <div class="pill">Padding: <span id="redactPadVal">15%</span></div>
+          </div>
+          <input id="redactPadding" type="range" min="0" max="0.6" step="0.05" value="0.15" />
+          <div class="row">
+            <select id="redactStyle" class="select select--sm" title="Redaction style">
+              <option value="blur">Blur</option>
+              <option value="pixelate">Pixelate</option>
+              <option value="box">Solid box</option>
+            </select>
+            <select id="redactOutput" class="select select--sm" title="Batch output">
+              <option value="zip">One .zip</option>
+              <option value="files">Individual files</option>
+            </select>
+            <button id="btnRedactBatch" class="btn btn--ghost btn--sm" disabled>Redact flagged + possible</button>
+          </div>
+          <div class="muted small">Possible matches are redacted too. Use <b>Redact</b> on a result to remove, adjust or add boxes first; edits are kept for the batch.</div>
+        </div>
+
+        <!-- Result buckets -->
+        <div class="bucket">
+          <div class="bucket__head">
+            <div class="bucket__title">Flagged</div>
+            <div class="muted small" id="countFlagged">0</div>
+          </div>
+          <div class="results" id="resultsFlagged"></div>
+        </div>
+
+        <div class="bucket">
+          <div class="bucket__head">
+            <div class="bucket__title">Possible</div>
+            <div class="muted small" id="countPossible">0</div>
+          </div>
+          <div class="results" id="resultsPossible"></div>
+        </div>
+
+        <div class="bucket">
+          <div class="bucket__head">
+            <div class="bucket__title">Clear</div>
+            <div class="muted small" id="countClear">0</div>
+          </div>
+          <div class="results" id="resultsClear"></div>
+        </div>
+
+        <div class="bucket">
+          <div class="bucket__head">
+            <div class="bucket__title">Not scanned</div>
+            <div class="muted small" id="countSkipped">0</div>
+          </div>
+          <div class="results" id="resultsSkipped"></div>
+        </div>
+
+        <div class="bucket">
+          <div class="bucket__head">
+            <div class="bucket__title">Unknown faces <span class="muted small">(seen in 2+ photos)</span></div>
+            <div class="muted small" id="countUnknown">0</div>
+          </div>
+          <div class="results" id="clusterList"></div>
+        </div>
+
+        <div class="preview">
+          <div class="preview__head">
+            <div class="card__title">Preview</div>
+            <div class="muted small">Red = flagged • Amber = possible • Grey = no match</div>
+          </div>
+          <div class="row preview__tools">
+            <label class="opt muted small"><input id="previewShowAll" type="checkbox" /> Show unmatched faces</label>
+            <button id="btnZoomOut" class="btn btn--ghost btn--sm" title="Zoom out">−</button>
+            <button id="btnZoomIn" class="btn btn--ghost btn--sm" title="Zoom in">+</button>
+            <button id="btnZoomReset" class="btn btn--ghost btn--sm" disabled>Fit</button>
+          </div>
+          <div class="preview__stage">
+            <canvas id="previewCanvas"></canvas>
+            <div class="preview__tip" id="previewTip" hidden></div>
+          </div>
+          <div class="preview__face" id="previewFace" hidden></div>
+        </div>
+      </div>
+    </div>
+  </section>
+</main>
+
+<dialog id="sampleDialog" class="dialog">
+  <div class="dialog__inner">
+    <div class="dialog__head">
+      <h3 id="sampleDialogTitle">Samples</h3>
+      <button id="btnCloseSamples" class="btn btn--ghost">Close</button>
+    </div>
+    <div class="muted small">Disabled samples are kept but not used for matching.</div>
+    <div class="samples" id="sampleGallery"></div>
+  </div>
+</dialog>
+
+<dialog id="redactDialog" class="dialog">
+  <div class="dialog__inner dialog__inner--wide">
+    <div class="dialog__head">
+      <h3 id="redactDialogTitle">Redact</h3>
+      <button id="btnRedactDone" class="btn btn--ghost">Done</button>
+    </div>
+    <canvas id="redactCanvas" class="redact__canvas"></canvas>
+    <div class="muted small" id="redactInfo"></div>
+    <div class="row" style="margin-top:10px;">
+      <label class="opt muted small"><input id="redactLive" type="checkbox" checked /> Show effect</label>
+      <button id="btnRedactDelete" class="btn btn--ghost btn--sm" disabled>Delete box</button>
+      <button id="btnRedactReset" class="btn btn--ghost btn--sm">Reset to matches</button>
+      <button id="btnRedactDownload" class="btn btn--primary btn--sm">Download redacted</button>
+    </div>
+  </div>
+</dialog>
+
+<dialog id="exportDialog" class="dialog">
+  <div class="dialog__inner dialog__inner--narrow">
+    <div class="dialog__head">
+      <h3>Export people</h3>
+      <button id="btnExportCancel" class="btn btn--ghost">Cancel</button>
+    </div>
+    <div class="muted small">The list contains names and face descriptors (biometric data).</div>
+    <label class="opt"><input id="exportEncrypt" type="checkbox" checked /> Encrypt with a passphrase</label>
+    <div id="exportPassFields" class="form">
+      <input id="exportPass" class="input" type="password" placeholder="Passphrase" autocomplete="new-password" />
+      <input id="exportPass2" class="input" type="password" placeholder="Repeat passphrase" autocomplete="new-password" />
+      <div class="muted small">Share the passphrase separately (not in the same email). It can’t be recovered.</div>
+    </div>
+    <div class="form__error small" id="exportError"></div>
+    <div class="row" style="margin-top:12px;">
+      <button id="btnExportConfirm" class="btn btn--primary">Download encrypted</button>
+    </div>
+  </div>
+</dialog>
+
+<dialog id="passDialog" class="dialog">
+  <div class="dialog__inner dialog__inner--narrow">
+    <div class="dialog__head">
+      <h3>Encrypted people list</h3>
+      <button id="btnPassCancel" class="btn btn--ghost">Cancel</button>
+    </div>
+    <div class="muted small" id="passFileName"></div>
+    <div class="form">
+      <input id="passInput" class="input" type="password" placeholder="Passphrase" autocomplete="current-password" />
+    </div>
+    <div class="form__error small" id="passError"></div>
+    <div class="row" style="margin-top:12px;">
+      <button id="btnPassOk" class="btn btn--primary">Decrypt</button>
+    </div>
+  </div>
+</dialog>
+
+<dialog id="workspaceDialog" class="dialog">
+  <div class="dialog__inner dialog__inner--narrow">
+    <div class="dialog__head">
+      <h3 id="workspaceDialogTitle">New workspace</h3>
+      <button id="btnWorkspaceCancel" class="btn btn--ghost">Cancel</button>
+    </div>
+    <div class="muted small" id="workspaceDialogText"></div>
+    <div class="form">
+      <input id="workspaceName" class="input" placeholder="Workspace name (e.g., Spring term)" maxlength="60" />
+    </div>
+    <div class="form__error small" id="workspaceError"></div>
+    <div class="row" style="margin-top:12px;">
+      <button id="btnWorkspaceOk" class="btn btn--primary">Create</button>
+    </div>
+  </div>
+</dialog>
+
+<dialog id="importDialog" class="dialog">
+  <div class="dialog__inner">
+    <div class="dialog__head">
+      <h3>Import people</h3>
+      <button id="btnImportCancel" class="btn btn--ghost">Cancel</button>
+    </div>
+    <div class="muted small" id="importSource"></div>
+    <div class="import__modes">
+      <label class="opt"><input type="radio" name="importMode" value="name" checked /> Merge by name</label>
+      <label class="opt"><input type="radio" name="importMode" value="id" /> Merge by id</label>
+      <label class="opt"><input type="radio" name="importMode" value="replace" /> Replace my list</label>
+    </div>
+    <div class="import__preview" id="importPreview"></div>
+    <details id="importErrorsWrap" class="import__errors" hidden>
+      <summary id="importErrorsSummary"></summary>
+      <ul id="importErrors"></ul>
+    </details>
+    <div class="row" style="margin-top:12px;">
+      <button id="btnImportConfirm" class="btn btn--primary">Import</button>
+    </div>
+  </div>
+</dialog>
+
+<dialog id="bulkDialog" class="dialog">
+  <div class="dialog__inner">
+    <div class="dialog__head">
+      <h3>Bulk enroll</h3>
+      <button id="btnCloseBulk" class="btn btn--ghost">Close</button>
+    </div>
+    <div class="muted small" id="bulkSource"></div>
+    <div class="import__preview" id="bulkSummary"></div>
+    <details id="bulkSkippedWrap" class="import__errors" hidden>
+      <summary id="bulkSkippedSummary"></summary>
+      <ul id="bulkSkipped"></ul>
+    </details>
+  </div>
+</dialog>
+
+<dialog id="cameraDialog" class="dialog">
+  <div class="dialog__inner">
+    <div class="dialog__head">
+      <h3 id="cameraTitle">Camera enroll</h3>
+      <button id="btnCameraCancel" class="btn btn--ghost">Cancel</button>
+    </div>
+    <div class="camera__prompt" id="cameraPrompt"></div>
+    <video id="cameraVideo" class="camera__video" autoplay muted playsinline></video>
+    <div class="muted small" id="cameraStatus"></div>
+    <div class="camera__steps" id="cameraSteps"></div>
+    <div class="row" style="margin-top:12px;">
+      <button id="btnCameraFinish" class="btn btn--primary" disabled>Finish &amp; save</button>
+      <button id="btnCameraSkip" class="btn btn--ghost">Skip pose</button>
+    </div>
+  </div>
+</dialog>
+
+<dialog id="helpDialog" class="dialog">
+  <div class="dialog__inner">
+    <div class="dialog__head">
+      <h3>How to use</h3>
+      <button id="btnCloseHelp" class="btn btn--ghost">Close</button>
+    </div>
+    <ol class="help">
+      <li><b>Add people</b> in the left panel.</li>
+      <li><b>Workspaces</b> keep separate lists (e.g. one per school or event), each with its own people, samples and scan selection. Switch, create, duplicate or delete them at the top of the people panel.</li>
+      <li>Give people <b>groups</b> (e.g. “Class 3B, Staff”) on their card; the groups then appear above <i>Scan against</i> to pick everyone in one click.</li>
+      <li><b>Bulk enroll…</b> takes a folder with one subfolder per person (named after them). Missing people are created; each photo must show one clear main face.</li>
+      <li><b>Camera…</b> enrolls the selected person in front of you: follow the prompts (front, left, right, chin up). Each pose is captured once it’s held steady and sharp; the set is saved at the end.</li>
+      <li>Select a person → upload photos → click face crops to save samples. Each crop is rated for blur, head angle, duplicates and likely wrong-person picks — prefer <b>GOOD</b> ones.</li>
+      <li>Choose which people to scan against → upload batch → click <b>Scan</b>.</li>
+      <li>Moving the sliders or changing who to scan against re-sorts the last scan instantly. Photos scanned before (even in an earlier visit) aren’t detected again.</li>
+      <li><b>Unknown faces</b> groups people who matched nobody but keep turning up in a batch — name a group to enroll them, or add it to someone.</li>
+      <li>Long scans can be paused or cancelled. Anything that wasn’t checked (unreadable, too large, cancelled) is listed under <b>Not scanned</b> — those photos are <i>not</i> cleared.</li>
+      <li>In the <b>Preview</b>, scroll to zoom and drag to pan (double-click to fit). Hover a face for its distance to the closest people; click it to add it as a sample or mark a wrong match — for this scan only, or <b>remember</b> it as a “not this person” example (listed under the person’s <b>Samples</b>, where it can be removed).</li>
+      <li><b>Videos</b> are checked one frame every few seconds (see <i>Video: a frame every</i>). Each match is listed as time ranges — click one to see its closest frame. Videos can’t be redacted here.</li>
+      <li><b>High coverage (tiled)</b> checks big group photos at full resolution, piece by piece, so small faces at the back aren’t missed (photos up to 60 MP). Much slower — use it for crowd and class photos.</li>
+      <li><b>Flagged</b> = strong match. <b>Possible</b> = borderline, or ambiguous between two people (review manually).</li>
+      <li><b>Auto-calibrate thresholds</b> suggests a threshold per person (needs 2+ samples each). Type a value on a person card to override it, or <b>Use global</b> to go back to the slider.</li>
+      <li>Use <b>Export/Import</b> to back up or share your list between computers. Imports can merge into your list by name or id, or replace it. Encrypt exports you email — they contain biometric data.</li>
+    </ol>
+    <div class="fineprint">
+      All processing happens in your browser. Photos are not uploaded to a third-party service.
+    </div>
+  </div>
+</dialog>
+`;
+
+class DnuScannerElement extends HTMLElement {
+  static get observedAttributes() {
+    return ["threshold", "model-url"];
+  }
+
+  // Controls in a shadow root don't belong to a host <form>: they never submit it,
+  // and their values aren't sent with it
+  connectedCallback() {
+    if (this.shadowRoot) return;
+    this.attachShadow({ mode: "open" }).innerHTML =
+      `<link rel="stylesheet" href="${DNU_SCANNER_STYLES}" />${DNU_SCANNER_MARKUP}`;
+  }
+
+  get modelUrl() {
+    return this.getAttribute("model-url") || "/models";
+  }
+
+  // null when missing or not a number (app.js keeps its default)
+  get threshold() {
+    const v = parseFloat(this.getAttribute("threshold"));
+    return Number.isFinite(v) ? v : null;
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (!this.scanner || oldValue === value) return; // app.js reads both when it starts
+    if (name === "model-url") {
+      console.warn("<dnu-scanner>: model-url is only read at start; reload the page to use", value);
+      return;
+    }
+    const slider = this.shadowRoot?.getElementById("threshold");
+    if (this.threshold == null || !slider) return;
+    slider.value = String(this.threshold);
+    slider.dispatchEvent(new Event("input"));
+    slider.dispatchEvent(new Event("change"));
+  }
+}
+
+customElements.define("dnu-scanner", DnuScannerElement);
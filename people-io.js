@@ -0,0 +1,433 @@
+// people-io.js — people list file format: validation + merge planning for imports
+// - version ≤ 2: samples are bare descriptors (number[128])
+// - version 3:   samples are objects { id, descriptor, thumb, source, addedAt, score, disabled }
+// - Optional passphrase envelope (WebCrypto) around the whole export, see bottom
+// - People may carry { threshold (manual override), calibration } — both optional
+// - v3 people may carry `negatives` ("not this person" faces), same shape as samples
+// - People may carry `tags` (groups such as "Class 3B", "Staff"): trimmed strings, no duplicates
+// - Nothing here touches the DOM or storage; app.js shows the plan and commits it
+// - Also loaded by scan-cli.js (Node), together with scan-core.js and report.js
+
+const PEOPLE_FORMAT_VERSION = 3;
+const DESCRIPTOR_LENGTH = 128;
+const DUPLICATE_SAMPLE_DIST = 1e-3; // float32 round-trips differ by ~1e-7
+const PERSON_THRESHOLD_MIN = 0.2;
+const PERSON_THRESHOLD_MAX = 0.9;
+const TAG_MAX_LENGTH = 40;
+
+// -------------------- Samples --------------------
+function uid() {
+  return Math.random().toString(16).slice(2) + Date.now().toString(16);
+}
+
+// In memory: { id, descriptor:number[], thumb, source, addedAt, score, disabled }
+function sampleDefaults() {
+  return { thumb: null, source: null, addedAt: null, score: null, disabled: false };
+}
+
+// Accepts a bare descriptor (v1/v2 lists, old exports) or a sample object
+function normalizeSample(s, fallbackId) {
+  const sample = Array.isArray(s) ? { descriptor: s } : { ...s };
+  return {
+    ...sampleDefaults(),
+    ...sample,
+    id: sample.id || fallbackId || uid(),
+    descriptor: Array.from(sample.descriptor || []),
+    disabled: !!sample.disabled,
+  };
+}
+
+// a freshly enrolled face
+function newSample(descriptor, thumb, source, score) {
+  return {
+    id: uid(),
+    descriptor: Array.from(descriptor),
+    thumb,
+    source,
+    addedAt: new Date().toISOString(),
+    score,
+    disabled: false,
+  };
+}
+
+// disabled samples are kept (and exported) but never matched against
+function activeSamples(p) {
+  return (p.samples || []).filter((s) => !s.disabled);
+}
+
+// per-person threshold: manual override, else calibrated, else null (= global slider)
+function personThreshold(p) {
+  if (Number.isFinite(p.threshold)) return p.threshold;
+  if (Number.isFinite(p.calibration?.threshold)) return p.calibration.threshold;
+  return null;
+}
+
+// what the matcher sees: active descriptors only (+ "not this person" negatives)
+function toMatchPool(pool) {
+  return pool.map((p) => ({
+    id: p.id,
+    name: p.name,
+    threshold: personThreshold(p),
+    samples: activeSamples(p).map((s) => s.descriptor),
+    negatives: (p.negatives || []).map((s) => s.descriptor),
+  }));
+}
+
+// -------------------- Groups --------------------
+// string[] or "a, b" → trimmed, non-empty, unique (case-insensitively; first spelling wins)
+function normalizeTags(tags) {
+  const list = typeof tags === "string" ? tags.split(",") : Array.isArray(tags) ? tags : [];
+  const seen = new Set();
+  const out = [];
+  for (const t of list) {
+    if (typeof t !== "string") continue;
+    const tag = t.trim().replace(/\s+/g, " ").slice(0, TAG_MAX_LENGTH);
+    if (!tag || seen.has(nameKey(tag))) continue;
+    seen.add(nameKey(tag));
+    out.push(tag);
+  }
+  return out;
+}
+
+function hasTag(p, tag) {
+  return (p.tags || []).some((t) => nameKey(t) === nameKey(tag));
+}
+
+// → [{ tag, count }] sorted by name
+function groupCounts(people) {
+  const byKey = new Map();
+  for (const p of people) {
+    for (const tag of p.tags || []) {
+      const g = byKey.get(nameKey(tag)) || { tag, count: 0 };
+      g.count++;
+      byKey.set(nameKey(tag), g);
+    }
+  }
+  return [...byKey.values()].sort((a, b) => a.tag.localeCompare(b.tag, undefined, { numeric: true }));
+}
+
+// -------------------- Validation --------------------
+function isValidDescriptor(d) {
+  return (
+    (Array.isArray(d) || d instanceof Float32Array) &&
+    d.length === DESCRIPTOR_LENGTH &&
+    Array.prototype.every.call(d, (v) => typeof v === "number" && Number.isFinite(v))
+  );
+}
+
+// → { ok, error } for one sample, checked against the file's version
+function checkSample(s, version) {
+  if (version <= 2) {
+    return isValidDescriptor(s) ? { ok: true } : { ok: false, error: "descriptor must be 128 finite numbers" };
+  }
+  if (!s || typeof s !== "object" || Array.isArray(s)) return { ok: false, error: "sample must be an object" };
+  if (!isValidDescriptor(s.descriptor)) return { ok: false, error: "descriptor must be 128 finite numbers" };
+  if (s.id != null && typeof s.id !== "string") return { ok: false, error: "sample id must be a string" };
+  if (s.thumb != null && !(typeof s.thumb === "string" && s.thumb.startsWith("data:image/"))) {
+    return { ok: false, error: "thumb must be an image data URL" };
+  }
+  if (s.score != null && !Number.isFinite(s.score)) return { ok: false, error: "score must be a number" };
+  return { ok: true };
+}
+
+function isValidPersonThreshold(v) {
+  return Number.isFinite(v) && v >= PERSON_THRESHOLD_MIN && v <= PERSON_THRESHOLD_MAX;
+}
+
+// Parsed JSON → { version, people, errors, fatal }
+// Bad people/samples are dropped (and listed in errors); fatal means nothing is importable.
+function validatePeopleFile(parsed) {
+  const errors = [];
+
+  if (!parsed || typeof parsed !== "object" || !Array.isArray(parsed.people)) {
+    return { version: null, people: [], errors, fatal: "Not a people list (missing \"people\" array)." };
+  }
+
+  const version = parsed.version ?? 2;
+  if (!Number.isInteger(version) || version < 1) {
+    return { version, people: [], errors, fatal: `Unknown version "${parsed.version}".` };
+  }
+  if (version > PEOPLE_FORMAT_VERSION) {
+    return { version, people: [], errors, fatal: `Made by a newer version of this app (v${version}).` };
+  }
+
+  const seen = new Set();
+  const people = [];
+
+  parsed.people.forEach((p, i) => {
+    const where = `#${i + 1}${typeof p?.name === "string" && p.name.trim() ? ` (${p.name.trim()})` : ""}`;
+
+    if (!p || typeof p !== "object") return errors.push(`Person ${where}: not an object — skipped.`);
+    if (typeof p.id !== "string" || !p.id) return errors.push(`Person ${where}: missing id — skipped.`);
+    if (typeof p.name !== "string" || !p.name.trim()) return errors.push(`Person ${where}: missing name — skipped.`);
+    if (seen.has(p.id)) return errors.push(`Person ${where}: duplicate id "${p.id}" — skipped.`);
+    if (p.samples != null && !Array.isArray(p.samples)) {
+      return errors.push(`Person ${where}: samples is not a list — skipped.`);
+    }
+    seen.add(p.id);
+
+    const samples = [];
+    (p.samples || []).forEach((s, j) => {
+      const check = checkSample(s, version);
+      if (!check.ok) errors.push(`Person ${where}, sample ${j + 1}: ${check.error} — dropped.`);
+      else samples.push(normalizeSample(s));
+    });
+
+    const negatives = [];
+    if (p.negatives != null && (version <= 2 || !Array.isArray(p.negatives))) {
+      errors.push(`Person ${where}: negatives is not a list of samples — ignored.`);
+    } else {
+      (p.negatives || []).forEach((s, j) => {
+        const check = checkSample(s, version);
+        if (!check.ok) errors.push(`Person ${where}, negative ${j + 1}: ${check.error} — dropped.`);
+        else negatives.push(normalizeSample(s));
+      });
+    }
+
+    let threshold = p.threshold ?? null;
+    if (threshold != null && !isValidPersonThreshold(threshold)) {
+      errors.push(`Person ${where}: threshold must be ${PERSON_THRESHOLD_MIN}–${PERSON_THRESHOLD_MAX} — ignored.`);
+      threshold = null;
+    }
+    let calibration = p.calibration ?? null;
+    if (calibration != null && !isValidPersonThreshold(calibration.threshold)) {
+      errors.push(`Person ${where}: bad calibration — ignored.`);
+      calibration = null;
+    }
+    if (p.tags != null && !Array.isArray(p.tags)) {
+      errors.push(`Person ${where}: tags is not a list — ignored.`);
+    }
+
+    people.push({
+      ...p,
+      id: p.id,
+      name: p.name.trim(),
+      threshold,
+      calibration,
+      tags: Array.isArray(p.tags) ? normalizeTags(p.tags) : [],
+      samples: dedupeSamples(samples),
+      negatives: dedupeSamples(negatives),
+    });
+  });
+
+  return { version, people, errors, fatal: null };
+}
+
+// Drops samples whose descriptor (or id) is already in `existing` or earlier in the list
+function dedupeSamples(samples, existing = []) {
+  const kept = [];
+  const ids = new Set(existing.map((s) => s.id));
+  const pool = existing.slice();
+
+  for (const s of samples) {
+    if (ids.has(s.id)) continue;
+    if (pool.some((o) => dist(o.descriptor, s.descriptor) < DUPLICATE_SAMPLE_DIST)) continue;
+    ids.add(s.id);
+    pool.push(s);
+    kept.push(s);
+  }
+  return kept;
+}
+
+// The samples store is keyed by sample id across everyone (samples and negatives alike), so an
+// incoming sample whose id is already taken gets a fresh one instead of overwriting the other
+function sampleIdsIn(people) {
+  return new Set(people.flatMap((p) => [...p.samples, ...(p.negatives || [])].map((s) => s.id)));
+}
+function withFreshIds(samples, taken) {
+  return samples.map((s) => {
+    const out = taken.has(s.id) ? { ...s, id: uid() } : s;
+    taken.add(out.id);
+    return out;
+  });
+}
+
+function nameKey(name) {
+  return name.trim().toLocaleLowerCase();
+}
+
+// mode: "replace" | "id" | "name"
+// → { people (result), added[], updated[{ name, samples, negatives, tags }], conflicts[{ name, reason }], unchanged, removed }
+function planPeopleImport(current, incoming, mode) {
+  const plan = { people: [], added: [], updated: [], conflicts: [], unchanged: 0, removed: 0 };
+
+  if (mode === "replace") {
+    const taken = new Set();
+    plan.people = incoming.map((p) => ({
+      ...p,
+      samples: withFreshIds(p.samples, taken),
+      negatives: withFreshIds(p.negatives || [], taken),
+    }));
+    plan.added = incoming.map((p) => p.name);
+    plan.removed = current.length;
+    return plan;
+  }
+
+  const result = current.map((p) => ({ ...p, samples: p.samples.slice(), negatives: (p.negatives || []).slice() }));
+  const byId = new Map(result.map((p) => [p.id, p]));
+  const byName = new Map();
+  for (const p of result) {
+    const k = nameKey(p.name);
+    byName.set(k, [...(byName.get(k) || []), p]);
+  }
+  const taken = sampleIdsIn(result);
+
+  for (const inc of incoming) {
+    let target = null;
+
+    if (mode === "id") {
+      target = byId.get(inc.id) || null;
+      if (target && nameKey(target.name) !== nameKey(inc.name)) {
+        plan.conflicts.push({ name: inc.name, reason: `same id as "${target.name}" but a different name — skipped` });
+        continue;
+      }
+    } else {
+      const matches = byName.get(nameKey(inc.name)) || [];
+      if (matches.length > 1) {
+        plan.conflicts.push({ name: inc.name, reason: `${matches.length} existing people share this name — skipped` });
+        continue;
+      }
+      target = matches[0] || null;
+    }
+
+    if (!target) {
+      // new person; never reuse an id that already belongs to someone else
+      const person = {
+        ...inc,
+        id: byId.has(inc.id) ? uid() : inc.id,
+        samples: withFreshIds(inc.samples, taken),
+        negatives: withFreshIds(inc.negatives || [], taken),
+      };
+      result.push(person);
+      byId.set(person.id, person);
+      byName.set(nameKey(person.name), [person]);
+      plan.added.push(person.name);
+      continue;
+    }
+
+    // same id within the target = the same sample, already there
+    const fresh = withFreshIds(dedupeSamples(inc.samples, target.samples), taken);
+    const freshNeg = withFreshIds(dedupeSamples(inc.negatives || [], target.negatives), taken);
+    const freshTags = (inc.tags || []).filter((t) => !hasTag(target, t));
+    if (!fresh.length && !freshNeg.length && !freshTags.length) {
+      plan.unchanged++;
+      continue;
+    }
+    target.samples.push(...fresh);
+    target.negatives.push(...freshNeg);
+    if (freshTags.length) target.tags = [...(target.tags || []), ...freshTags];
+    plan.updated.push({ name: target.name, samples: fresh.length, negatives: freshNeg.length, tags: freshTags.length });
+  }
+
+  plan.people = result;
+  return plan;
+}
+
+// -------------------- Encrypted envelope --------------------
+// PBKDF2-SHA256 → AES-256-GCM. The header (everything but `data`) is bound as
+// additional authenticated data, so changing iterations/salt/iv also fails to decrypt.
+const ENVELOPE_FORMAT = "dnu-people-encrypted";
+const ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const PBKDF2_MIN_ITERATIONS = 100000;
+const PBKDF2_MAX_ITERATIONS = PBKDF2_ITERATIONS * 10; // a crafted file must not freeze the tab
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+function isEncryptedEnvelope(parsed) {
+  return parsed?.format === ENVELOPE_FORMAT;
+}
+
+function envelopeHeader(env) {
+  // fixed key order, so re-serializing the file (key order, whitespace) doesn't break it
+  const { kdf = {}, cipher = {} } = env;
+  return new TextEncoder().encode(JSON.stringify([
+    env.format, env.version, kdf.name, kdf.hash, kdf.iterations, kdf.salt, cipher.name, cipher.iv,
+  ]));
+}
+
+async function deriveEnvelopeKey(passphrase, kdf) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: kdf.hash, iterations: kdf.iterations, salt: base64ToBytes(kdf.salt) },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// payload (any JSON value) → envelope object
+async function encryptPeopleExport(payload, passphrase) {
+  const env = {
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    kdf: {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      iterations: PBKDF2_ITERATIONS,
+      salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16))),
+    },
+    cipher: { name: "AES-GCM", iv: bytesToBase64(crypto.getRandomValues(new Uint8Array(12))) },
+  };
+
+  const key = await deriveEnvelopeKey(passphrase, env.kdf);
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv: base64ToBytes(env.cipher.iv), additionalData: envelopeHeader(env) },
+    key,
+    new TextEncoder().encode(JSON.stringify(payload))
+  );
+  return { ...env, data: bytesToBase64(new Uint8Array(data)) };
+}
+
+// envelope → payload. Throws Error with a user-facing message.
+async function decryptPeopleExport(env, passphrase) {
+  if (env.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported encrypted file version (${env.version}).`);
+  }
+  const ok =
+    env.kdf?.name === "PBKDF2" && env.kdf.hash === "SHA-256" &&
+    Number.isInteger(env.kdf.iterations) &&
+    env.kdf.iterations >= PBKDF2_MIN_ITERATIONS && env.kdf.iterations <= PBKDF2_MAX_ITERATIONS &&
+    typeof env.kdf.salt === "string" &&
+    env.cipher?.name === "AES-GCM" && typeof env.cipher.iv === "string" &&
+    typeof env.data === "string";
+  if (!ok) throw new Error("Encrypted file is damaged (bad header).");
+
+  // decoded up front: bad base64 is a damaged file, not a wrong passphrase (no re-prompting)
+  let iv;
+  let data;
+  try {
+    iv = base64ToBytes(env.cipher.iv);
+    data = base64ToBytes(env.data);
+    if (base64ToBytes(env.kdf.salt).length < 8 || iv.length !== 12 || data.length < 16) throw new Error();
+  } catch {
+    throw new Error("Encrypted file is damaged (bad salt, IV or data).");
+  }
+
+  let plain;
+  try {
+    const key = await deriveEnvelopeKey(passphrase, env.kdf);
+    plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv, additionalData: envelopeHeader(env) },
+      key,
+      data
+    );
+  } catch {
+    // AES-GCM can't tell these apart, by design
+    throw new Error("Wrong passphrase, or the file was modified.");
+  }
+  return JSON.parse(new TextDecoder().decode(plain));
+}
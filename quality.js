@@ -0,0 +1,132 @@
+// quality.js — enrollment crop quality (sharpness, head pose, duplicate / outlier / wrong-person checks)
+// - Pure functions; app.js draws the crop and shows the rating on its tile
+// - Pose is a rough estimate from the 68 landmarks (ratios, not a 3D fit): good enough to flag profiles
+// - Needs `dist` from scan-core.js
+
+const SHARPNESS_POOR = 40;   // variance of the Laplacian on a 96px grey crop
+const SHARPNESS_OK = 110;
+const POSE_YAW_OK = 20;      // degrees
+const POSE_YAW_POOR = 35;
+const POSE_PITCH_OK = 15;
+const POSE_PITCH_POOR = 25;
+const POSE_ROLL_OK = 15;
+const DUPLICATE_DIST = 0.12; // closer than this to an existing sample adds nothing new
+const QUALITY_SIDE = 96;
+
+const degrees = (rad) => (rad * 180) / Math.PI;
+const clampUnit = (v) => Math.max(-1, Math.min(1, v));
+
+// face box of an image/canvas → variance of the 4-neighbour Laplacian (higher = sharper)
+function cropSharpness(source, box) {
+  const small = makeCanvas(QUALITY_SIDE, QUALITY_SIDE);
+  const ctx = small.getContext("2d");
+  ctx.drawImage(source, box.x, box.y, box.width, box.height, 0, 0, QUALITY_SIDE, QUALITY_SIDE);
+  const { data } = ctx.getImageData(0, 0, QUALITY_SIDE, QUALITY_SIDE);
+
+  const n = QUALITY_SIDE;
+  const grey = new Float32Array(n * n);
+  for (let i = 0; i < n * n; i++) {
+    grey[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+  for (let y = 1; y < n - 1; y++) {
+    for (let x = 1; x < n - 1; x++) {
+      const i = y * n + x;
+      const lap = grey[i - 1] + grey[i + 1] + grey[i - n] + grey[i + n] - 4 * grey[i];
+      sum += lap;
+      sumSq += lap * lap;
+      count++;
+    }
+  }
+  const mean = sum / count;
+  return sumSq / count - mean * mean;
+}
+
+// positions: 68 {x, y} points (face-api order) → { yaw, pitch, roll } in degrees.
+// yaw > 0: turned towards image right; pitch > 0: looking up; roll: eye-line tilt.
+function estimateHeadPose(positions) {
+  const avg = (from, to) => {
+    let x = 0;
+    let y = 0;
+    for (let i = from; i <= to; i++) {
+      x += positions[i].x;
+      y += positions[i].y;
+    }
+    const k = to - from + 1;
+    return { x: x / k, y: y / k };
+  };
+
+  const jawL = positions[0];
+  const jawR = positions[16];
+  const chin = positions[8];
+  const nose = positions[30];
+  const eyeL = avg(36, 41);
+  const eyeR = avg(42, 47);
+  const eyeMid = { x: (eyeL.x + eyeR.x) / 2, y: (eyeL.y + eyeR.y) / 2 };
+
+  // nose tip sits mid-jaw when frontal and slides towards the near side when turned
+  const jawW = jawR.x - jawL.x || 1;
+  const yaw = degrees(Math.asin(clampUnit(((nose.x - jawL.x) / jawW - 0.5) * 2)));
+
+  // nose tip is ~40% of the way from the eye line to the chin when level
+  const faceH = chin.y - eyeMid.y || 1;
+  const pitch = degrees(Math.asin(clampUnit((0.4 - (nose.y - eyeMid.y) / faceH) * 2.5)));
+
+  const roll = degrees(Math.atan2(eyeR.y - eyeL.y, eyeR.x - eyeL.x));
+  return { yaw, pitch, roll };
+}
+
+function centroid(descriptors) {
+  const c = new Array(descriptors[0].length).fill(0);
+  for (const d of descriptors) for (let i = 0; i < c.length; i++) c[i] += d[i];
+  return c.map((v) => v / descriptors.length);
+}
+
+function nearestDistance(descriptor, samples) {
+  let best = Infinity;
+  for (const s of samples) best = Math.min(best, dist(descriptor, s));
+  return best;
+}
+
+// image + box: the face in original coords; landmarks: 68 positions; own: the selected person's descriptors;
+// others: [{ name, samples: descriptor[] }]; thr: that person's effective threshold.
+// → { rating: "good" | "ok" | "poor", sharpness, pose, issues: [{ level: "warn" | "bad", text }] }
+function assessEnrollCrop({ image, box, landmarks, descriptor, own, others, thr }) {
+  const issues = [];
+
+  const sharpness = cropSharpness(image, box);
+  if (sharpness < SHARPNESS_POOR) issues.push({ level: "bad", text: "Blurry" });
+  else if (sharpness < SHARPNESS_OK) issues.push({ level: "warn", text: "A bit soft" });
+
+  const pose = estimateHeadPose(landmarks);
+  const yaw = Math.abs(pose.yaw);
+  const pitch = Math.abs(pose.pitch);
+  if (yaw > POSE_YAW_POOR) issues.push({ level: "bad", text: `Turned ${Math.round(yaw)}°` });
+  else if (yaw > POSE_YAW_OK) issues.push({ level: "warn", text: `Turned ${Math.round(yaw)}°` });
+  if (pitch > POSE_PITCH_POOR) issues.push({ level: "bad", text: pose.pitch > 0 ? "Looking up" : "Looking down" });
+  else if (pitch > POSE_PITCH_OK) issues.push({ level: "warn", text: pose.pitch > 0 ? "Tilted up" : "Tilted down" });
+  if (Math.abs(pose.roll) > POSE_ROLL_OK) issues.push({ level: "warn", text: `Head tilted ${Math.round(Math.abs(pose.roll))}°` });
+
+  const ownDist = own.length ? nearestDistance(descriptor, own) : Infinity;
+  if (ownDist < DUPLICATE_DIST) issues.push({ level: "warn", text: "Near-duplicate of a saved sample" });
+
+  if (own.length >= 2) {
+    const fromCentroid = dist(descriptor, centroid(own));
+    if (fromCentroid > thr) issues.push({ level: "bad", text: `Far from their other samples (${fromCentroid.toFixed(2)}) — wrong person?` });
+  }
+
+  let closest = null;
+  for (const o of others) {
+    const d = nearestDistance(descriptor, o.samples);
+    if (!closest || d < closest.dist) closest = { name: o.name, dist: d };
+  }
+  if (closest && closest.dist < ownDist && closest.dist <= thr) {
+    issues.push({ level: "bad", text: `Closer to ${closest.name} (${closest.dist.toFixed(2)})` });
+  }
+
+  const rating = issues.some((i) => i.level === "bad") ? "poor" : issues.length ? "ok" : "good";
+  return { rating, sharpness, pose, issues };
+}
@@ -0,0 +1,228 @@
+// report.js — scan report builders (JSON / CSV / self-contained HTML)
+// - Input is the scan session kept by app.js (see newScanSession there) or scan-cli.js
+// - Pure string builders; the page does the downloading and thumbnail drawing
+// - Video clips list one face per appearance, with its time range (seconds) and the
+//   time of the closest frame; formatTimecode comes from video.js
+
+const REPORT_VERSION = 3;
+
+// match pool (toMatchPool) → the "scanned against" list kept in the session
+function sessionPeople(pool) {
+  return pool.map((p) => ({ id: p.id, name: p.name, samples: p.samples.length, threshold: p.threshold }));
+}
+
+// Same rule the result buckets use (ambiguous faces are reviewed with the possibles)
+function fileStatusFromFaces(faces) {
+  if (faces.some((f) => f.best?.level === "match")) return "flagged";
+  if (faces.some((f) => f.best?.level === "possible" || f.best?.level === "ambiguous")) return "possible";
+  return "clear";
+}
+
+function reportBox(box) {
+  return {
+    x: Math.round(box.x),
+    y: Math.round(box.y),
+    width: Math.round(box.width),
+    height: Math.round(box.height),
+  };
+}
+
+const seconds = (t) => +t.toFixed(2);
+
+// Only faces that matched (or were borderline) are listed per file
+function reportFaces(file) {
+  return (file.faces || [])
+    .filter((f) => f.best)
+    .map((f) => ({
+      ...(f.at != null && { start: seconds(f.start), end: seconds(f.end), at: seconds(f.at), frames: f.frames }),
+      level: f.best.level,
+      personId: f.best.personId,
+      name: f.best.name,
+      distance: +f.best.dist.toFixed(4),
+      threshold: f.best.threshold ?? null,
+      confidence: f.best.confidence,
+      runnerUp: f.best.runnerUp
+        ? { personId: f.best.runnerUp.personId, name: f.best.runnerUp.name, distance: +f.best.runnerUp.dist.toFixed(4) }
+        : null,
+      box: reportBox(f.box),
+    }));
+}
+
+function reportSummary(session) {
+  const summary = { flagged: 0, possible: 0, clear: 0, skipped: 0, error: 0 };
+  for (const f of session.files) if (f) summary[f.status]++;
+  return summary;
+}
+
+// A report must never read as "all clear" when some files weren't checked
+function coverageLine(session, summary) {
+  const missed = summary.skipped + summary.error;
+  if (!missed) return `All ${session.files.length} file(s) scanned.`;
+  return `INCOMPLETE: ${missed} of ${session.files.length} file(s) were NOT scanned${session.cancelled ? " (scan cancelled)" : ""}.`;
+}
+
+function buildReportJSON(session) {
+  const summary = reportSummary(session);
+  return JSON.stringify({
+    reportVersion: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    startedAt: session.startedAt,
+    finishedAt: session.finishedAt,
+    threshold: session.threshold,
+    borderline: session.band,
+    ambiguityMargin: session.margin ?? 0,
+    detector: session.detector,
+    tiled: !!session.tiled,
+    people: session.people,
+    summary,
+    complete: summary.skipped + summary.error === 0,
+    cancelled: !!session.cancelled,
+    files: session.files.filter(Boolean).map((f) => ({
+      file: f.name,
+      kind: f.kind || "image",
+      status: f.status,
+      reason: f.reason || undefined,
+      faceCount: f.faceCount ?? 0,
+      width: f.width,
+      height: f.height,
+      ...(f.kind === "video" && {
+        duration: seconds(f.duration),
+        frameInterval: seconds(f.interval),
+        framesScanned: f.frames.length,
+      }),
+      faces: reportFaces(f),
+    })),
+  }, null, 2);
+}
+
+// Text that a spreadsheet would run as a formula (=, +, -, @, tab, CR first) gets a leading '
+function csvCell(v) {
+  let str = v == null ? "" : String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// One row per matched/possible face (per appearance for videos); files without any get a
+// single row. The scan settings repeat on every row (trailing columns), so the file stays
+// plain CSV for spreadsheets and pandas. applied_threshold is the one the face was judged
+// against (its person's own, else the global `threshold`).
+function buildReportCSV(session) {
+  const summary = reportSummary(session);
+  const settings = [
+    session.threshold,
+    session.band,
+    session.margin ?? 0,
+    session.detector,
+    session.tiled ? "yes" : "no",
+    session.people.map((p) => (p.threshold != null ? `${p.name} (${p.threshold})` : p.name)).join("; "),
+    summary.skipped + summary.error === 0 ? "yes" : "no",
+    session.cancelled ? "yes" : "no",
+  ];
+
+  const header = [
+    "file", "status", "reason", "face_count", "level", "person", "person_id",
+    "distance", "applied_threshold", "confidence", "runner_up", "runner_up_id", "runner_up_distance",
+    "box_x", "box_y", "box_w", "box_h", "time_start", "time_end", "time_closest",
+    "threshold", "borderline", "ambiguity_margin", "detector", "tiled", "scanned_against",
+    "complete", "cancelled",
+  ];
+  const faceCols = header.length - settings.length;
+  const lines = [header.join(",")];
+
+  for (const f of session.files) {
+    if (!f) continue;
+    const base = [f.name, f.status, f.reason || "", f.faceCount ?? 0];
+    const faces = reportFaces(f);
+
+    if (!faces.length) {
+      lines.push([...base, ...new Array(faceCols - base.length).fill(""), ...settings].map(csvCell).join(","));
+      continue;
+    }
+    for (const face of faces) {
+      lines.push([
+        ...base, face.level, face.name, face.personId, face.distance, face.threshold, face.confidence,
+        face.runnerUp?.name, face.runnerUp?.personId, face.runnerUp?.distance,
+        face.box.x, face.box.y, face.box.width, face.box.height, face.start, face.end, face.at,
+        ...settings,
+      ].map(csvCell).join(","));
+    }
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// thumbs: { [fileIndex]: dataUrl } (annotated; usually flagged/possible files only)
+function buildReportHTML(session, thumbs = {}) {
+  const esc = (str) => String(str ?? "").replace(/[&<>"']/g, (m) => ({
+    "&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#039;"
+  }[m]));
+  const summary = reportSummary(session);
+
+  const rows = session.files.map((f, i) => {
+    if (!f) return "";
+    const faces = reportFaces(f);
+    const faceList = faces.length
+      ? `<ul>${faces.map((face) => `
+          <li class="${face.level}">
+            <b>${esc(face.name)}</b> — ${face.level},${face.at != null ? `
+            ${formatTimecode(face.start)}–${formatTimecode(face.end)} (closest at ${formatTimecode(face.at)}),` : ""}
+            distance ${face.distance.toFixed(3)}, confidence ${face.confidence}%,${face.runnerUp ? `
+            runner-up ${esc(face.runnerUp.name)} ${face.runnerUp.distance.toFixed(3)},` : ""}
+            box ${face.box.x},${face.box.y} ${face.box.width}×${face.box.height}
+          </li>`).join("")}</ul>`
+      : `<span class="muted">${f.reason ? esc(f.reason) : "No matches"}</span>`;
+
+    return `
+      <tr class="st-${f.status}">
+        <td>${thumbs[i] ? `<img src="${thumbs[i]}" alt="">` : ""}</td>
+        <td><div class="name">${esc(f.name)}</div><div class="muted">${
+          f.kind === "video"
+            ? `video ${formatTimecode(f.duration)} • ${f.frames.length} frame(s) every ${f.interval.toFixed(1)} s`
+            : `${f.faceCount ?? 0} face(s)`
+        }</div></td>
+        <td><span class="tag">${esc(f.status.toUpperCase())}</span></td>
+        <td>${faceList}</td>
+      </tr>`;
+  }).join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>DNU scan report — ${esc(session.finishedAt || session.startedAt)}</title>
+<style>
+  body{ font-family: system-ui, sans-serif; margin:24px; color:#111; }
+  h1{ font-size:20px; margin:0 0 6px; }
+  .muted{ color:#666; font-size:12px; }
+  .meta{ margin:12px 0 18px; font-size:13px; line-height:1.5; }
+  table{ border-collapse:collapse; width:100%; font-size:13px; }
+  th, td{ border-top:1px solid #ddd; padding:8px; text-align:left; vertical-align:top; }
+  td img{ max-width:320px; border-radius:6px; }
+  .name{ font-weight:700; word-break:break-all; }
+  .tag{ font-weight:800; font-size:11px; padding:3px 8px; border-radius:999px; border:1px solid; }
+  .st-flagged .tag{ color:#b00020; } .st-possible .tag{ color:#9a6b00; }
+  .st-clear .tag{ color:#00804f; } .st-skipped .tag, .st-error .tag{ color:#555; }
+  li.possible, li.ambiguous{ color:#9a6b00; }
+  .warn{ color:#b00020; } ul{ margin:0; padding-left:18px; }
+</style>
+</head>
+<body>
+  <h1>Do Not Use — scan report</h1>
+  <div class="muted">Generated ${esc(new Date().toLocaleString())}</div>
+  <div class="meta">
+    <div><b>Threshold</b> ${session.threshold.toFixed(2)} • <b>Borderline</b> +${session.band.toFixed(2)} • <b>Ambiguity margin</b> ${(session.margin ?? 0).toFixed(2)} • <b>Detector</b> ${esc(session.detector)}${session.tiled ? " (high coverage, tiled)" : ""}</div>
+    <div><b>Scanned against</b> (${session.people.length}): ${session.people.map((p) =>
+      esc(p.name) + (p.threshold != null ? ` <span class="muted">(${p.threshold.toFixed(2)})</span>` : "")
+    ).join(", ")}</div>
+    <div class="${summary.skipped + summary.error ? "warn" : ""}"><b>${esc(coverageLine(session, summary))}</b></div>
+    <div><b>Result</b> ${summary.flagged} flagged • ${summary.possible} possible • ${summary.clear} clear${
+      summary.skipped + summary.error ? ` • ${summary.skipped + summary.error} not scanned` : ""
+    } (${session.files.filter(Boolean).length} file(s))</div>
+  </div>
+  <table>
+    <thead><tr><th></th><th>File</th><th>Status</th><th>Faces</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// scan-cli.js — headless batch scan of a folder (Node), same core as the page
+// - Loads scan-core.js, people-io.js and report.js unchanged (vm.runInThisContext, like
+//   importScripts in scan-worker.js), so matching rules and report formats can't drift
+// - Needs Node 18+; `npm install` here brings (see package.json, `dnu-scan` bin):
+//     face-api.js@0.22.2   the same build the page loads from the CDN
+//     canvas               node-canvas: image decoding + canvases for face-api
+//     @tensorflow/tfjs-node  optional, much faster (native TensorFlow; 1.7.x to match face-api)
+// - Photos only (JPEG/PNG/GIF/WebP as node-canvas decodes them); video needs the browser
+//
+// Usage:
+//   node scan-cli.js --people dnu-people.json [options] <folder>
+//
+// Exit codes (worst wins): 0 clear • 1 something flagged • 2 possible matches only •
+//   3 nothing found but some files could not be scanned • 64 bad usage • 70 failure
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const EXIT = { clear: 0, flagged: 1, possible: 2, incomplete: 3, usage: 64, failure: 70 };
+const IMAGE_EXT = /\.(jpe?g|png|gif|webp)$/i;
+const VIDEO_EXT = /\.(mp4|m4v|mov|webm|ogv|mkv)$/i;
+const CORE_SCRIPTS = ["scan-core.js", "people-io.js", "report.js"];
+
+const USAGE = `Usage: node scan-cli.js --people <dnu-people.json> [options] <folder>
+
+Options:
+  --people <file>       people list exported from the page (plain or encrypted)
+  --out <file>          write the report here (default: stdout)
+  --format json|csv     report format (default: from --out extension, else json)
+  --models <dir>        face-api weights (default: ./models next to this script)
+  --detector <name>     tiny | ssd | mtcnn (default: tiny)
+  --threshold <d>       match distance (default: 0.55; per-person thresholds still win)
+  --borderline <d>      extra distance reported as "possible" (default: 0.06)
+  --margin <d>          ambiguity margin between the two closest people (default: 0.04)
+  --only <names>        comma-separated names, ids or groups to scan against (default: everyone)
+  --tiled               high coverage: big photos in full-resolution tiles, no face cap (slower)
+  --quiet               no progress on stderr
+
+Encrypted lists read their passphrase from the DNU_PASSPHRASE environment variable.
+
+Exit codes: 0 clear, 1 flagged, 2 possible only, 3 incomplete, 64 usage, 70 failure.`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = {
+    people: null,
+    out: null,
+    format: null,
+    models: path.join(__dirname, "models"),
+    detector: "tiny",
+    threshold: 0.55,
+    borderline: 0.06,
+    margin: 0.04,
+    only: null,
+    tiled: false,
+    quiet: false,
+    folder: null,
+  };
+  const numeric = new Set(["threshold", "borderline", "margin"]);
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "-h" || a === "--help") {
+      args.help = true;
+      continue;
+    }
+    if (a === "--quiet" || a === "--tiled") {
+      args[a.slice(2)] = true;
+      continue;
+    }
+    if (a.startsWith("--")) {
+      const key = a.slice(2);
+      if (!(key in args) || key === "folder") throw new UsageError(`Unknown option ${a}`);
+      const value = argv[++i];
+      if (value == null) throw new UsageError(`${a} needs a value`);
+      if (numeric.has(key)) {
+        const n = Number(value);
+        if (!Number.isFinite(n) || n < 0 || n > 2) throw new UsageError(`${a} must be a distance (0–2)`);
+        args[key] = n;
+      } else {
+        args[key] = value;
+      }
+      continue;
+    }
+    if (args.folder) throw new UsageError("Only one folder per run");
+    args.folder = a;
+  }
+
+  if (args.help) return args;
+  if (!args.people) throw new UsageError("--people is required");
+  if (!args.folder) throw new UsageError("Folder to scan is required");
+  args.format = args.format || (args.out && path.extname(args.out).toLowerCase() === ".csv" ? "csv" : "json");
+  if (args.format !== "json" && args.format !== "csv") throw new UsageError("--format must be json or csv");
+  return args;
+}
+
+// face-api + node-canvas, then the shared scripts as globals (the way the page sees them)
+function loadCore() {
+  try {
+    require("@tensorflow/tfjs-node");
+  } catch {
+    // optional: pure-JS backend otherwise
+  }
+  const faceapi = require("face-api.js");
+  const { Canvas, Image, ImageData, loadImage } = require("canvas");
+  faceapi.env.monkeyPatch({ Canvas, Image, ImageData });
+  global.faceapi = faceapi;
+
+  for (const file of CORE_SCRIPTS) {
+    const full = path.join(__dirname, file);
+    vm.runInThisContext(fs.readFileSync(full, "utf8"), { filename: full });
+  }
+  return { faceapi, loadImage };
+}
+
+// Same nets the page loads (landmarks + descriptors) plus the chosen detector, from disk
+async function loadModels(faceapi, detectorKey, dir) {
+  const detector = DETECTORS[detectorKey];
+  await Promise.all([
+    detector.net().loadFromDisk(dir),
+    faceapi.nets.faceLandmark68Net.loadFromDisk(dir),
+    faceapi.nets.faceRecognitionNet.loadFromDisk(dir),
+  ]);
+}
+
+async function readPeople(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new UsageError(`Could not read ${file}: ${e.message}`);
+  }
+  if (isEncryptedEnvelope(parsed)) {
+    const pass = process.env.DNU_PASSPHRASE;
+    if (!pass) throw new UsageError(`${path.basename(file)} is encrypted: set DNU_PASSPHRASE`);
+    try {
+      parsed = await decryptPeopleExport(parsed, pass);
+    } catch (e) {
+      throw new UsageError(e.message);
+    }
+  }
+
+  const checked = validatePeopleFile(parsed);
+  if (checked.fatal) throw new UsageError(checked.fatal);
+  return checked;
+}
+
+// → [{ file (absolute), name (relative, "/" separated) }], sorted like the page sorts folders
+function walkFolder(root) {
+  const out = [];
+  let videos = 0;
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (IMAGE_EXT.test(entry.name)) out.push({ file: full, name: path.relative(root, full).split(path.sep).join("/") });
+      else if (VIDEO_EXT.test(entry.name)) videos++;
+    }
+  };
+  walk(root);
+  out.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  return { items: out, videos };
+}
+
+// One file → a session entry, same shape app.js records
+async function scanOne(item, loadImage, opts) {
+  let img;
+  try {
+    img = await loadImage(item.file);
+  } catch {
+    return { name: item.name, status: "skipped", reason: "unreadable", faces: [] };
+  }
+
+  const mp = (img.width * img.height) / 1_000_000;
+  if (mp > scanMegapixelLimit(opts)) {
+    return { name: item.name, status: "skipped", reason: `too large (${mp.toFixed(1)} MP)`, faces: [] };
+  }
+
+  tfScopeStart();
+  try {
+    const res = await scanImage(img, opts);
+    return {
+      name: item.name,
+      status: fileStatusFromFaces(res.faces),
+      faceCount: res.faceCount,
+      width: img.width,
+      height: img.height,
+      faces: res.faces,
+    };
+  } catch (err) {
+    return { name: item.name, status: "error", reason: String(err?.message || err), faces: [] };
+  } finally {
+    tfScopeEnd();
+  }
+}
+
+function exitCodeFor(summary) {
+  if (summary.flagged) return EXIT.flagged;
+  if (summary.possible) return EXIT.possible;
+  if (summary.skipped + summary.error) return EXIT.incomplete;
+  return EXIT.clear;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT.clear;
+  }
+  const log = (msg) => {
+    if (!args.quiet) process.stderr.write(`${msg}\n`);
+  };
+
+  if (!fs.existsSync(args.folder) || !fs.statSync(args.folder).isDirectory()) {
+    throw new UsageError(`Not a folder: ${args.folder}`);
+  }
+
+  const { faceapi, loadImage } = loadCore();
+  if (!DETECTORS[args.detector]) throw new UsageError(`Unknown detector "${args.detector}" (${Object.keys(DETECTORS).join(", ")})`);
+
+  const list = await readPeople(args.people);
+  for (const e of list.errors) log(`people list: ${e}`);
+
+  let selected = list.people;
+  if (args.only) {
+    const wanted = new Set(args.only.split(",").map((s) => s.trim().toLocaleLowerCase()).filter(Boolean));
+    selected = selected.filter((p) =>
+      [p.id, p.name, ...p.tags].some((key) => wanted.has(key.toLocaleLowerCase()))
+    );
+  }
+  const pool = toMatchPool(selected).filter((p) => p.samples.length);
+  if (!pool.length) throw new UsageError("No people with samples to scan against");
+
+  const { items, videos } = walkFolder(args.folder);
+  if (videos) log(`${videos} video file(s) ignored (video scanning needs the browser).`);
+  if (!items.length) log("No photos found.");
+
+  log(`Loading ${DETECTORS[args.detector].label} models from ${args.models}…`);
+  await loadModels(faceapi, args.detector, args.models);
+
+  const opts = { detector: args.detector, tiled: args.tiled, pool, thr: args.threshold, band: args.borderline, margin: args.margin };
+  const session = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    threshold: opts.thr,
+    band: opts.band,
+    margin: opts.margin,
+    detector: opts.detector,
+    tiled: opts.tiled,
+    people: sessionPeople(pool),
+    files: [],
+  };
+
+  for (let i = 0; i < items.length; i++) {
+    const entry = await scanOne(items[i], loadImage, opts);
+    session.files.push(entry);
+    log(`[${i + 1}/${items.length}] ${entry.name}: ${entry.status}${entry.reason ? ` (${entry.reason})` : ""}`);
+    await tfYield();
+  }
+  session.finishedAt = new Date().toISOString();
+
+  const report = args.format === "csv" ? buildReportCSV(session) : buildReportJSON(session);
+  if (args.out) fs.writeFileSync(args.out, report);
+  else process.stdout.write(report.endsWith("\n") ? report : `${report}\n`);
+
+  const summary = reportSummary(session);
+  log(
+    `${summary.flagged} flagged • ${summary.possible} possible • ${summary.clear} clear. ` +
+      coverageLine(session, summary)
+  );
+  return exitCodeFor(summary);
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    if (err instanceof UsageError) {
+      process.stderr.write(`${err.message}\n\n${USAGE}\n`);
+      process.exitCode = EXIT.usage;
+    } else {
+      process.stderr.write(`Scan failed: ${err?.stack || err}\n`);
+      process.exitCode = EXIT.failure;
+    }
+  }
+);
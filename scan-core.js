@@ -0,0 +1,542 @@
+// scan-core.js — detection + matching shared by the page (app.js), the scan worker and the CLI
+// - Plain script: loaded with <script> on the page, importScripts() in scan-worker.js and
+//   vm.runInThisContext() in scan-cli.js (Node)
+// - No DOM access here (canvases come from makeCanvas: <canvas>, OffscreenCanvas in workers,
+//   face-api's patched env (node-canvas) in Node)
+// - Needs the global `faceapi`
+
+// -------------------- Detectors --------------------
+// Face detector backends. Each has its own options for enroll / scan, plus a
+// more sensitive fallback pass used when the primary pass finds no faces, and
+// the options for one tile of a high-coverage scan (see scanImageTiled).
+// Only the weights of the chosen backend(s) are loaded (on demand).
+const DETECTORS = {
+  tiny: {
+    label: "Tiny (fast)",
+    net: () => faceapi.nets.tinyFaceDetector,
+    makeOptions: (o) => new faceapi.TinyFaceDetectorOptions(o),
+    // ✅ Faster + less “stuck”: smaller inputSize + capped working canvas
+    enroll:   { inputSize: 416, scoreThreshold: 0.12 },
+    scan:     { inputSize: 416, scoreThreshold: 0.12 },
+    fallback: { inputSize: 416, scoreThreshold: 0.06 },
+    tile:     { inputSize: 512, scoreThreshold: 0.12 },
+  },
+  ssd: {
+    label: "SSD MobileNet (accurate)",
+    net: () => faceapi.nets.ssdMobilenetv1,
+    makeOptions: (o) => new faceapi.SsdMobilenetv1Options(o),
+    // better on small / profile faces, noticeably slower
+    enroll:   { minConfidence: 0.35, maxResults: 50 },
+    scan:     { minConfidence: 0.35, maxResults: 50 },
+    fallback: { minConfidence: 0.2, maxResults: 50 },
+    tile:     { minConfidence: 0.35, maxResults: 100 },
+  },
+  mtcnn: {
+    label: "MTCNN",
+    net: () => faceapi.nets.mtcnn,
+    makeOptions: (o) => new faceapi.MtcnnOptions(o),
+    // cascaded; minFaceSize is in detection-canvas px
+    enroll:   { minFaceSize: 40, scaleFactor: 0.709, scoreThresholds: [0.6, 0.7, 0.7] },
+    scan:     { minFaceSize: 24, scaleFactor: 0.709, scoreThresholds: [0.6, 0.7, 0.7] },
+    fallback: { minFaceSize: 20, scaleFactor: 0.709, scoreThresholds: [0.5, 0.6, 0.6] },
+    tile:     { minFaceSize: 20, scaleFactor: 0.709, scoreThresholds: [0.6, 0.7, 0.7] },
+  },
+};
+const DEFAULT_DETECTOR = "tiny";
+
+// -------------------- Limits --------------------
+// Upscale a little if tiny faces, but also cap max dimensions to avoid huge GPU work
+const ENROLL_MIN_SIDE = 650;
+const SCAN_MIN_SIDE   = 750;
+
+// Hard cap (prevents 6000x4000 photos from melting the browser)
+const MAX_DIM_ENROLL = 1100;
+const MAX_DIM_SCAN   = 1100;
+
+// Prevent “crowd photo explosion”
+const MAX_FACES_PER_IMAGE = 30;
+const MAX_FACES_PER_IMAGE_SCAN = 12;
+
+// Plausibility filters (these kill "arm face" boxes)
+const MIN_FACE_PX = 40;            // too small → ignore
+const MIN_DET_SCORE = 0.35;        // too low confidence → ignore
+const MIN_AR = 0.65;               // aspect ratio lower bound
+const MAX_AR = 1.60;               // aspect ratio upper bound
+
+// Skip extremely large images (extra safety)
+const MAX_MEGAPIXELS = 18; // ~18MP
+
+// High-coverage (tiled) scans: crowd / class photos are checked in full
+const MAX_FACES_PER_IMAGE_TILED = 500;
+const MAX_MEGAPIXELS_TILED = 60;
+const TILE_SIZE = 512;                // px at the level's scale (≈ the detectors' input size)
+const TILE_OVERLAP = 128;             // any face up to this size is whole in some tile
+const TILE_EDGE_PX = 2;               // box this close to an inner tile edge = cut-off face
+const TILE_DUPLICATE_IOU = 0.3;       // boxes overlapping more than this (IoU) = same face
+
+// Enrollment takes one face per photo: the largest must be 2× the area of the next one
+const DOMINANT_FACE_RATIO = 2;
+
+// -------------------- Matching defaults --------------------
+// Start strict for “only show real matches”
+const DEFAULT_THRESHOLD = 0.55;
+
+// Borderline band above the threshold → "Possible" (manual review)
+const DEFAULT_BORDERLINE = 0.06;
+
+// Closest person must beat the runner-up by this much to count as a match
+const DEFAULT_AMBIGUITY = 0.04;
+
+// -------------------- TFJS cleanup (prevents slowdown / “stuck”) --------------------
+function tfScopeStart() {
+  const tf = faceapi?.tf;
+  if (tf?.engine) tf.engine().startScope();
+}
+function tfScopeEnd() {
+  const tf = faceapi?.tf;
+  if (tf?.engine) tf.engine().endScope();
+}
+async function tfYield() {
+  const tf = faceapi?.tf;
+  if (tf?.nextFrame) await tf.nextFrame();
+  else await new Promise((r) => setTimeout(r, 0));
+}
+
+// -------------------- Model loading --------------------
+// Detector weights are loaded lazily; concurrent callers share one promise.
+const detectorLoads = {};
+function ensureDetector(key, modelUrl) {
+  const detector = DETECTORS[key];
+  if (!detector) return Promise.reject(new Error(`Unknown detector: ${key}`));
+  if (detector.net().isLoaded) return Promise.resolve();
+  if (!detectorLoads[key]) {
+    detectorLoads[key] = detector.net().loadFromUri(modelUrl).catch((e) => {
+      delete detectorLoads[key];
+      throw e;
+    });
+  }
+  return detectorLoads[key];
+}
+
+// Landmarks + descriptors: needed whatever the detector
+let faceNetsLoad = null;
+function ensureFaceNets(modelUrl) {
+  if (faceapi.nets.faceLandmark68Net.isLoaded && faceapi.nets.faceRecognitionNet.isLoaded) return Promise.resolve();
+  if (!faceNetsLoad) {
+    faceNetsLoad = Promise.all([
+      faceapi.nets.faceLandmark68Net.loadFromUri(modelUrl),
+      faceapi.nets.faceRecognitionNet.loadFromUri(modelUrl),
+    ]).catch((e) => {
+      faceNetsLoad = null;
+      throw e;
+    });
+  }
+  return faceNetsLoad;
+}
+
+// -------------------- Helpers --------------------
+function dist(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    s += d * d;
+  }
+  return Math.sqrt(s);
+}
+
+// UX-only number (not a true probability)
+function distanceToConfidence(d, thr) {
+  const max = thr + 0.25;
+  const clamped = Math.max(0, Math.min(1, 1 - d / max));
+  return Math.round(clamped * 100);
+}
+
+function makeCanvas(width, height) {
+  if (typeof document === "undefined") {
+    if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+    const canvas = faceapi.env.getEnv().createCanvasElement();
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// -------------------- Detection + matching --------------------
+// Upscale for better detection of small faces AND cap max dimensions
+function imageToDetectionCanvas(img, targetMinSide, maxDim) {
+  const minSide = Math.min(img.width, img.height);
+  const scaleUp = minSide < targetMinSide ? (targetMinSide / minSide) : 1;
+
+  // cap scale so the resulting canvas doesn't exceed maxDim
+  const maxScaleW = maxDim / img.width;
+  const maxScaleH = maxDim / img.height;
+  const capScale = Math.min(1, maxScaleW, maxScaleH);
+
+  const scale = Math.min(scaleUp, capScale);
+
+  const canvas = makeCanvas(Math.max(1, Math.round(img.width * scale)), Math.max(1, Math.round(img.height * scale)));
+
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  return { canvas, scale };
+}
+
+async function detectAll(canvasOrImg, detectorKey, detectorOpts) {
+  const detector = DETECTORS[detectorKey] || DETECTORS[DEFAULT_DETECTOR];
+  return await faceapi
+    .detectAllFaces(canvasOrImg, detector.makeOptions(detectorOpts))
+    .withFaceLandmarks()
+    .withFaceDescriptors();
+}
+
+// Run detector with fallback if needed (phase: "enroll" | "scan")
+async function safeDetect(canvas, detectorKey, phase) {
+  const detector = DETECTORS[detectorKey] || DETECTORS[DEFAULT_DETECTOR];
+  let det = await detectAll(canvas, detectorKey, detector[phase]);
+  if (!det.length && detector.fallback) det = await detectAll(canvas, detectorKey, detector.fallback);
+  return det;
+}
+
+// Filters bogus detections (prevents "arm as face")
+function isPlausibleFace(det, detScale, img) {
+  const b = det.detection.box;
+  const score = det.detection.score ?? 0;
+
+  // map to original image coords
+  const w = b.width / detScale;
+  const h = b.height / detScale;
+
+  if (score < MIN_DET_SCORE) return false;
+
+  const minSide = Math.min(w, h);
+  if (minSide < MIN_FACE_PX) return false;
+
+  const ar = w / h;
+  if (ar < MIN_AR || ar > MAX_AR) return false;
+
+  // ignore absurdly huge boxes
+  if (w > img.width * 0.75 || h > img.height * 0.75) return false;
+
+  return true;
+}
+
+// map detection coords (scaled canvas) back to original
+function originalBox(det, scale) {
+  const b = det.detection.box;
+  return { x: b.x / scale, y: b.y / scale, width: b.width / scale, height: b.height / scale };
+}
+
+// Enrollment pick → { det } or { reason } when there's no face or no clearly biggest one
+function dominantFace(detections, scale, img) {
+  const faces = detections
+    .filter((det) => isPlausibleFace(det, scale, img))
+    .map((det) => ({ det, area: det.detection.box.width * det.detection.box.height }))
+    .sort((a, b) => b.area - a.area);
+
+  if (!faces.length) return { reason: "no face found" };
+  if (faces.length > 1 && faces[0].area < faces[1].area * DOMINANT_FACE_RATIO) {
+    return { reason: `${faces.length} faces, none clearly the main one` };
+  }
+  return { det: faces[0].det };
+}
+
+// ✅ Closest match only (or null if no one is within threshold + band)
+// level: "match" (≤ thr) or "possible" (thr < d ≤ thr + band)
+// pool: [{ id, name, samples: descriptor[], negatives?: descriptor[], threshold? }] — a person's
+// own threshold (override or calibrated) wins over the global `thr`.
+// Negatives are faces marked "not this person": a face closer to one of those than to
+// any of the person's samples never matches them (nor counts as their runner-up).
+// Each person is held to their own threshold; of those within it (+ band), the closest
+// relative to their threshold wins. It's only a confident "match" when every other person
+// is at least `margin` further away; otherwise "ambiguous" (reviewed like "possible").
+function nearestNegative(descriptor, negatives) {
+  let best = Infinity;
+  for (const n of negatives) best = Math.min(best, dist(descriptor, n));
+  return best;
+}
+
+function bestMatchForDescriptor(descriptor, pool, thr, band = 0, margin = 0) {
+  const cands = [];
+
+  for (const p of pool) {
+    if (!p.samples?.length) continue;
+
+    // exact per-person minimum: the runner-up comparison needs real distances
+    let bestDist = Infinity;
+    for (const s of p.samples) {
+      const d = dist(descriptor, s);
+      if (d < bestDist) bestDist = d;
+    }
+
+    if (!isFinite(bestDist)) continue;
+    if (p.negatives?.length && nearestNegative(descriptor, p.negatives) < bestDist) continue;
+
+    cands.push({ p, dist: bestDist, thr: Number.isFinite(p.threshold) ? p.threshold : thr });
+  }
+
+  let best = null;
+  for (const c of cands) {
+    if (c.dist > c.thr + band) continue;
+    if (!best || c.dist / c.thr < best.dist / best.thr) best = c;
+  }
+  if (!best) return null;
+
+  // runner-up: the closest anyone else gets, in or out of their own threshold
+  let second = null;
+  for (const c of cands) {
+    if (c !== best && (!second || c.dist < second.dist)) second = c;
+  }
+
+  const personThr = best.thr;
+
+  const gap = second ? second.dist - best.dist : null;
+  let level = "possible";
+  if (best.dist <= personThr) level = gap != null && gap < margin ? "ambiguous" : "match";
+
+  return {
+    personId: best.p.id,
+    name: best.p.name,
+    dist: best.dist,
+    threshold: personThr,
+    confidence: distanceToConfidence(best.dist, personThr),
+    level,
+    runnerUp: second ? { personId: second.p.id, name: second.p.name, dist: second.dist } : null,
+    margin: gap,
+  };
+}
+
+// -------------------- Threshold calibration --------------------
+const CALIBRATION_MIN_SAMPLES = 2;
+const CALIBRATED_MIN = 0.35;
+const CALIBRATED_MAX = 0.65;
+const CALIBRATION_SLACK = 0.06; // headroom over the (90th pct) own-sample distance
+
+function percentile(sorted, q) {
+  if (!sorted.length) return NaN;
+  const i = Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1));
+  return sorted[i];
+}
+
+// own: descriptors of one person; others: descriptors of everyone else.
+// Leave-one-out: how far is each own sample from its nearest sibling (a new photo
+// of them should land about there), and how close does anybody else get.
+// → { threshold, genuine, impostor, overlap } or null with too few samples
+function calibrateThreshold(own, others) {
+  if (own.length < CALIBRATION_MIN_SAMPLES) return null;
+
+  const nearestOwn = own.map((a, i) => {
+    let best = Infinity;
+    own.forEach((b, j) => { if (i !== j) best = Math.min(best, dist(a, b)); });
+    return best;
+  }).sort((a, b) => a - b);
+
+  let impostor = Infinity;
+  for (const a of own) for (const b of others) impostor = Math.min(impostor, dist(a, b));
+
+  const genuine = percentile(nearestOwn, 0.9);
+  const overlap = genuine >= impostor;
+
+  let threshold;
+  if (!isFinite(impostor)) threshold = genuine + CALIBRATION_SLACK;
+  else if (overlap) threshold = impostor - 0.02; // can't separate them: favour no false hits
+  else threshold = Math.min(genuine + CALIBRATION_SLACK, (genuine + impostor) / 2);
+
+  threshold = Math.max(CALIBRATED_MIN, Math.min(CALIBRATED_MAX, threshold));
+  return {
+    threshold: +threshold.toFixed(2),
+    genuine: +genuine.toFixed(4),
+    impostor: isFinite(impostor) ? +impostor.toFixed(4) : null,
+    overlap,
+  };
+}
+
+// -------------------- Clustering --------------------
+// Leader clustering on running centroids: each face joins the nearest group whose
+// centroid is within `thr`, else starts a new one. Order-dependent, but cheap and
+// good enough to surface "the same stranger in 30 photos".
+// items: [{ descriptor, ... }] → [{ centroid, members: item[] }] (largest first)
+function clusterDescriptors(items, thr) {
+  const clusters = [];
+
+  for (const item of items) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const c of clusters) {
+      const d = dist(item.descriptor, c.centroid);
+      if (d < bestDist) {
+        bestDist = d;
+        best = c;
+      }
+    }
+
+    if (!best || bestDist > thr) {
+      clusters.push({ centroid: Array.from(item.descriptor), members: [item] });
+      continue;
+    }
+
+    best.members.push(item);
+    const n = best.members.length;
+    for (let i = 0; i < best.centroid.length; i++) {
+      best.centroid[i] += (item.descriptor[i] - best.centroid[i]) / n;
+    }
+  }
+
+  return clusters.sort((a, b) => b.members.length - a.members.length);
+}
+
+// faces ({ descriptor, exclude?: personId[] } ) → same faces with `best` for the given
+// pool/settings. Used after detection and again whenever thresholds or the selection change.
+// `exclude` holds people already rejected for that face (false positives).
+function matchFaces(faces, { pool, thr, band, margin }) {
+  return faces.map((f) => {
+    const candidates = f.exclude?.length ? pool.filter((p) => !f.exclude.includes(p.id)) : pool;
+    return { ...f, best: bestMatchForDescriptor(f.descriptor, candidates, thr, band, margin) };
+  });
+}
+
+// → [{ personId, name, dist, rejected }] one entry per person, closest first.
+// rejected: a negative of theirs is closer than their samples (bestMatchForDescriptor skips them)
+function rankPeople(descriptor, pool) {
+  const out = [];
+  for (const p of pool) {
+    if (!p.samples?.length) continue;
+    let best = Infinity;
+    for (const s of p.samples) best = Math.min(best, dist(descriptor, s));
+    const rejected = !!p.negatives?.length && nearestNegative(descriptor, p.negatives) < best;
+    out.push({ personId: p.id, name: p.name, dist: best, rejected });
+  }
+  return out.sort((a, b) => a.dist - b.dist);
+}
+
+// opts.tiled: high-coverage mode (bigger size limit, see scanImageTiled)
+function scanMegapixelLimit(opts) {
+  return opts.tiled ? MAX_MEGAPIXELS_TILED : MAX_MEGAPIXELS;
+}
+
+// Detect → plausibility → closest match for one decoded image (<img> or ImageBitmap).
+// Boxes come back in original-image coords so results can be posted between threads.
+// opts.tiled: images bigger than one detection canvas go through scanImageTiled instead
+// of being downscaled, and the face cap is lifted.
+async function scanImage(img, opts) {
+  if (opts.tiled && Math.max(img.width, img.height) > MAX_DIM_SCAN) return scanImageTiled(img, opts);
+
+  const { canvas, scale } = imageToDetectionCanvas(img, SCAN_MIN_SIDE, MAX_DIM_SCAN);
+
+  const detections = await safeDetect(canvas, opts.detector, "scan");
+  const trimmed = detections.slice(0, opts.tiled ? MAX_FACES_PER_IMAGE_TILED : MAX_FACES_PER_IMAGE_SCAN);
+
+  // compute best match only for plausible detections
+  const faces = [];
+  for (const det of trimmed) {
+    if (!isPlausibleFace(det, scale, img)) continue;
+
+    const b = det.detection.box;
+    const desc = Array.from(det.descriptor);
+    faces.push({
+      box: { x: b.x / scale, y: b.y / scale, width: b.width / scale, height: b.height / scale },
+      score: det.detection.score,
+      descriptor: desc, // kept for re-matching (cache, live thresholds) and unknown-face groups
+    });
+  }
+
+  return { faceCount: trimmed.length, faces: matchFaces(faces, opts) };
+}
+
+// -------------------- High coverage (tiled) --------------------
+// Overlapping TILE_SIZE tiles at native resolution, then again at 1/2, 1/4 … until the
+// whole image fits in one tile. A face no bigger than TILE_OVERLAP at some level lies
+// whole inside one of that level's tiles, so faces cut by an inner tile edge are dropped
+// (a neighbour or a coarser level has them whole) and the rest are merged across tiles.
+
+// tile offsets along one side (px at the level's scale); the last tile is flush with the edge
+function tileStarts(length) {
+  if (length <= TILE_SIZE) return [0];
+  const starts = [];
+  for (let s = 0; s + TILE_SIZE < length; s += TILE_SIZE - TILE_OVERLAP) starts.push(s);
+  starts.push(length - TILE_SIZE);
+  return starts;
+}
+
+// intersection over union (a small face next to a big one's box stays a separate face)
+function boxIoU(a, b) {
+  const w = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const h = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (w <= 0 || h <= 0) return 0;
+  const inter = w * h;
+  return inter / (a.width * a.height + b.width * b.height - inter);
+}
+
+// → [{ box (original coords), score, descriptor }] for one tile
+async function detectTile(img, scale, x, y, levelW, levelH, detectorKey) {
+  const detector = DETECTORS[detectorKey] || DETECTORS[DEFAULT_DETECTOR];
+  const w = Math.min(TILE_SIZE, levelW - x);
+  const h = Math.min(TILE_SIZE, levelH - y);
+
+  const canvas = makeCanvas(w, h);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(img, x / scale, y / scale, w / scale, h / scale, 0, 0, w, h);
+
+  const faces = [];
+  for (const det of await detectAll(canvas, detectorKey, detector.tile)) {
+    if (!isPlausibleFace(det, scale, img)) continue;
+
+    const b = det.detection.box;
+    const cut =
+      (x > 0 && b.x <= TILE_EDGE_PX) ||
+      (y > 0 && b.y <= TILE_EDGE_PX) ||
+      (x + w < levelW && b.x + b.width >= w - TILE_EDGE_PX) ||
+      (y + h < levelH && b.y + b.height >= h - TILE_EDGE_PX);
+    if (cut) continue;
+
+    faces.push({
+      box: { x: (x + b.x) / scale, y: (y + b.y) / scale, width: b.width / scale, height: b.height / scale },
+      score: det.detection.score,
+      descriptor: Array.from(det.descriptor),
+    });
+  }
+  return faces;
+}
+
+// Same result shape as scanImage; faceCount = distinct faces found (before the cap)
+async function scanImageTiled(img, opts) {
+  const found = [];
+
+  for (let scale = 1; ; scale /= 2) {
+    const levelW = Math.max(1, Math.round(img.width * scale));
+    const levelH = Math.max(1, Math.round(img.height * scale));
+
+    for (const y of tileStarts(levelH)) {
+      for (const x of tileStarts(levelW)) {
+        tfScopeStart();
+        try {
+          found.push(...(await detectTile(img, scale, x, y, levelW, levelH, opts.detector)));
+        } finally {
+          tfScopeEnd();
+        }
+        await tfYield();
+      }
+    }
+    if (Math.max(levelW, levelH) <= TILE_SIZE) break;
+  }
+
+  // best-scoring copy of each face wins; then reading order (top to bottom, left to right)
+  const faces = [];
+  for (const f of found.sort((a, b) => b.score - a.score)) {
+    if (!faces.some((k) => boxIoU(k.box, f.box) > TILE_DUPLICATE_IOU)) faces.push(f);
+  }
+  faces.sort((a, b) => a.box.y - b.box.y || a.box.x - b.box.x);
+
+  return {
+    faceCount: faces.length,
+    faces: matchFaces(faces.slice(0, MAX_FACES_PER_IMAGE_TILED), opts),
+  };
+}
@@ -0,0 +1,135 @@
+// scan-worker.js — runs the scan pipeline off the main thread
+// - Decodes with createImageBitmap, detects on OffscreenCanvas, matches here too
+// - Main thread posts files one by one (bounded queue) and gets one "result" per file
+// - Optional parallel decode: up to `decodeAhead` files decode while one is detected
+//
+// Messages in:  init {modelUrl} • start {jobId, opts} • file {jobId, index, file}
+// Messages out: ready • fatal {message, jobId?} • result {jobId, index, status, ...}
+
+importScripts("https://unpkg.com/face-api.js@0.22.2/dist/face-api.min.js", "./scan-core.js");
+
+// face-api.js only knows "browser" and "node" environments; give it an OffscreenCanvas one
+class NoElement {}
+faceapi.env.setEnv({
+  Canvas: OffscreenCanvas,
+  CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+  Image: NoElement,
+  ImageData,
+  Video: NoElement,
+  createCanvasElement: () => new OffscreenCanvas(1, 1),
+  createImageElement: () => { throw new Error("No <img> in a worker"); },
+  fetch: (...args) => fetch(...args),
+  readFile: () => { throw new Error("readFile is not available in a worker"); },
+});
+
+let modelUrl = "/models";
+let modelsLoading = null;
+
+let job = null;       // { id, opts }
+const pending = [];   // [{ index, file, decoded: Promise|null }] in arrival order
+let draining = false;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+
+  if (msg.type === "init") {
+    modelUrl = msg.modelUrl || modelUrl;
+    modelsLoading = Promise.all([
+      faceapi.nets.faceLandmark68Net.loadFromUri(modelUrl),
+      faceapi.nets.faceRecognitionNet.loadFromUri(modelUrl),
+    ]);
+    modelsLoading.then(
+      () => postMessage({ type: "ready" }),
+      (err) => postMessage({ type: "fatal", message: `Model load failed: ${err?.message || err}` })
+    );
+    return;
+  }
+
+  if (msg.type === "start") {
+    // a new job replaces whatever was queued for the previous one
+    job = { id: msg.jobId, opts: msg.opts };
+    dropPending();
+    return;
+  }
+
+  if (msg.type === "file") {
+    if (!job || msg.jobId !== job.id) return;
+    pending.push({ index: msg.index, file: msg.file, decoded: null });
+    drain();
+  }
+};
+
+// Empties the queue, freeing bitmaps that were already decoded ahead
+function dropPending() {
+  for (const item of pending.splice(0)) {
+    item.decoded?.then(({ bitmap }) => bitmap?.close());
+  }
+}
+
+// Keep the first `decodeAhead` queued files decoding.
+function prefetch() {
+  const ahead = Math.max(1, job?.opts.decodeAhead || 1);
+  for (let i = 0; i < Math.min(pending.length, ahead); i++) {
+    const item = pending[i];
+    if (item.decoded) continue;
+    item.decoded = createImageBitmap(item.file).then(
+      (bitmap) => ({ bitmap }),
+      (error) => ({ error })
+    );
+  }
+}
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+
+  try {
+    await modelsLoading;
+    while (pending.length && job) {
+      const current = job;
+
+      try {
+        await ensureDetector(current.opts.detector, modelUrl);
+      } catch (err) {
+        dropPending();
+        postMessage({ type: "fatal", jobId: current.id, message: `Detector load failed: ${err?.message || err}` });
+        break;
+      }
+
+      // off the queue before awaiting: a "start" during the decode must not lose the next job's file
+      prefetch();
+      const item = pending.shift();
+      prefetch();
+      const decoded = await item.decoded;
+
+      const result = await scanDecoded(decoded, current.opts);
+      if (decoded.bitmap) decoded.bitmap.close();
+
+      // job was replaced while we worked → drop the stale answer
+      if (job !== current) continue;
+      postMessage({ type: "result", jobId: current.id, index: item.index, ...result });
+    }
+  } catch (err) {
+    postMessage({ type: "fatal", jobId: job?.id, message: String(err?.message || err) });
+  } finally {
+    draining = false;
+  }
+}
+
+async function scanDecoded({ bitmap, error }, opts) {
+  if (error) return { status: "skipped", reason: "unreadable" };
+
+  // skip huge images
+  const mp = (bitmap.width * bitmap.height) / 1_000_000;
+  if (mp > scanMegapixelLimit(opts)) return { status: "skipped", reason: `too large (${mp.toFixed(1)} MP)` };
+
+  tfScopeStart(); // ✅ frees tensors per file
+  try {
+    const res = await scanImage(bitmap, opts);
+    return { status: "ok", width: bitmap.width, height: bitmap.height, ...res };
+  } catch (err) {
+    return { status: "error", reason: String(err?.message || err) };
+  } finally {
+    tfScopeEnd();
+  }
+}
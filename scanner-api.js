@@ -0,0 +1,317 @@
+// scanner-api.js — programmatic scanner for pages that embed it (upload forms etc.)
+// - createScanner(options) → api; no UI needed. <dnu-scanner> (app.js) exposes one bound to
+//   its own people list as element.scanner, made with createOwnedScanner
+// - Photos only, detected on the calling thread (no worker / cache / video: that's the UI's job)
+// - Events are CustomEvents (data in e.detail):
+//     progress { done, total, name }   result { index, ...entry }   done { session, summary }
+//   entry = { name, status, reason?, faceCount, width, height, faces } as in the report
+//   session = what buildReportJSON / buildReportCSV / buildReportHTML (report.js) take
+// - Needs scan-core.js, quality.js, people-io.js and report.js
+//
+//   const scanner = createScanner({ modelUrl: "/models", threshold: 0.5 });
+//   await scanner.loadModels();
+//   scanner.setPeople(exportedJson);               // a plain "Export People" file (or its people array)
+//   await scanner.enroll("Jane Doe", file);         // id or name; unknown names are created
+//   const entry = await scanner.scan(file);         // entry.status: flagged | possible | clear | skipped
+//   scanner.addEventListener("result", (e) => console.log(e.detail.name, e.detail.status));
+//   const session = await scanner.scanFiles(form.photos.files, { signal });
+
+const SCANNER_DEFAULTS = {
+  modelUrl: "/models",
+  detector: DEFAULT_DETECTOR,
+  threshold: DEFAULT_THRESHOLD,
+  borderline: DEFAULT_BORDERLINE,
+  margin: DEFAULT_AMBIGUITY,
+  tiled: false, // high coverage: big photos in full-resolution tiles (scanImageTiled)
+};
+
+// -------------------- Images --------------------
+// File / Blob → ImageBitmap; <img> → canvas at its natural size (not its CSS size);
+// canvases and bitmaps pass through. Hand the result to releaseImage when done.
+async function decodeImage(input) {
+  if (input instanceof Blob) return await createImageBitmap(input);
+  if (typeof HTMLImageElement !== "undefined" && input instanceof HTMLImageElement) {
+    if (!input.complete || !input.naturalWidth) await input.decode();
+    const canvas = makeCanvas(input.naturalWidth, input.naturalHeight);
+    canvas.getContext("2d").drawImage(input, 0, 0);
+    return canvas;
+  }
+  if (input?.width && input?.height) return input;
+  throw new TypeError("Expected a File, Blob, <img>, canvas or ImageBitmap");
+}
+
+// frees a bitmap decodeImage made (not the caller's own images)
+function releaseImage(input, img) {
+  if (img && img !== input) img.close?.();
+}
+
+// 180px crop tile / sample thumbnail
+function faceThumb(img, box) {
+  // generous padding so descriptor sees more of the face
+  const pad = Math.max(12, Math.round(Math.min(box.width, box.height) * 0.18));
+  const x = Math.max(0, Math.floor(box.x - pad));
+  const y = Math.max(0, Math.floor(box.y - pad));
+  const w = Math.min(img.width - x, Math.floor(box.width + pad * 2));
+  const h = Math.min(img.height - y, Math.floor(box.height + pad * 2));
+
+  const crop = document.createElement("canvas");
+  crop.width = 180;
+  crop.height = 180;
+  crop.getContext("2d").drawImage(img, x, y, w, h, 0, 0, crop.width, crop.height);
+  return crop.toDataURL("image/jpeg", 0.86);
+}
+
+// -------------------- API --------------------
+function memoryPeopleStore() {
+  let list = [];
+  return {
+    get: () => list,
+    set: (next) => {
+      list = next;
+    },
+  };
+}
+
+// options: any of SCANNER_DEFAULTS, plus
+//   target: EventTarget the events fire on (default: a private one)
+//   store:  { get() → people, set(people) } (default: in memory, empty)
+function createScanner(options = {}) {
+  return createOwnedScanner(options).scanner;
+}
+
+// → { scanner, emit } for the UI that owns the api (app.js): its own scans report through
+// the same events. emit stays off the api itself, so other scripts can't fake results on it.
+function createOwnedScanner(options = {}) {
+  const target = options.target || new EventTarget();
+  const store = options.store || memoryPeopleStore();
+  const settings = { ...SCANNER_DEFAULTS };
+  let modelsLoad = null;
+
+  const emit = (type, detail) => target.dispatchEvent(new CustomEvent(type, { detail }));
+
+  // → the settings now in effect; throws (and changes nothing) on a bad value
+  function configure(changes = {}) {
+    const next = { ...settings };
+    for (const key of Object.keys(SCANNER_DEFAULTS)) {
+      const value = changes[key];
+      if (value == null) continue;
+      if (key === "modelUrl") {
+        next.modelUrl = String(value);
+      } else if (key === "detector") {
+        if (!DETECTORS[value]) throw new Error(`Unknown detector: ${value}`);
+        next.detector = value;
+      } else if (key === "tiled") {
+        next.tiled = !!value;
+      } else {
+        const n = Number(value);
+        if (!Number.isFinite(n) || n < 0 || n > 2) throw new RangeError(`${key} must be a distance (0–2)`);
+        next[key] = n;
+      }
+    }
+    if (next.modelUrl !== settings.modelUrl || next.detector !== settings.detector) modelsLoad = null;
+    Object.assign(settings, next);
+    return { ...settings };
+  }
+  configure(options);
+
+  // detector + landmarks + descriptors; safe to call again (shares the loads)
+  function loadModels() {
+    if (!modelsLoad) {
+      modelsLoad = Promise.all([
+        ensureDetector(settings.detector, settings.modelUrl),
+        ensureFaceNets(settings.modelUrl),
+      ]).then(
+        () => {},
+        (e) => {
+          modelsLoad = null;
+          throw e;
+        }
+      );
+    }
+    return modelsLoad;
+  }
+
+  // a copy in the export format's people shape (samples with descriptors + thumbs)
+  function getPeople() {
+    return JSON.parse(JSON.stringify(store.get()));
+  }
+
+  // input: an "Export People" file (parsed, not encrypted — see decryptPeopleExport) or its
+  // people array. Replaces everyone. → { count, errors } (bad entries are dropped, as on import)
+  function setPeople(input) {
+    const checked = validatePeopleFile(Array.isArray(input) ? { version: PEOPLE_FORMAT_VERSION, people: input } : input);
+    if (checked.fatal) throw new Error(checked.fatal);
+    store.set(checked.people);
+    return { count: checked.people.length, errors: checked.errors };
+  }
+
+  function matchOpts() {
+    const pool = toMatchPool(store.get()).filter((p) => p.samples.length);
+    if (!pool.length) throw new Error("No people with samples to scan against");
+    return {
+      detector: settings.detector,
+      tiled: settings.tiled,
+      pool,
+      thr: settings.threshold,
+      band: settings.borderline,
+      margin: settings.margin,
+    };
+  }
+
+  // who: person id or name (a new person is created for an unknown name).
+  // Takes the photo's single main face, rated like the enroll tiles.
+  // → { personId, added (false: already enrolled), sample, quality }
+  // Throws when there's no clear main face, or the crop rates "poor" (unless allowPoor).
+  async function enroll(who, image, { source = null, allowPoor = false } = {}) {
+    const key = String(who ?? "").trim();
+    if (!key) throw new Error("Person id or name required");
+    await loadModels();
+    const img = await decodeImage(image);
+    try {
+      return await enrollImage(key, image, img, { source, allowPoor });
+    } finally {
+      releaseImage(image, img);
+    }
+  }
+
+  async function enrollImage(key, image, img, { source, allowPoor }) {
+    if ((img.width * img.height) / 1_000_000 > MAX_MEGAPIXELS) throw new Error(`Image larger than ${MAX_MEGAPIXELS} MP`);
+
+    const list = store.get();
+    const person = list.find((p) => p.id === key) || list.find((p) => nameKey(p.name) === nameKey(key)) || null;
+
+    tfScopeStart();
+    let pick;
+    let scale;
+    try {
+      const det = imageToDetectionCanvas(img, ENROLL_MIN_SIDE, MAX_DIM_ENROLL);
+      scale = det.scale;
+      const detections = await safeDetect(det.canvas, settings.detector, "enroll");
+      pick = dominantFace(detections.slice(0, MAX_FACES_PER_IMAGE), scale, img);
+    } finally {
+      tfScopeEnd();
+    }
+    if (!pick.det) throw new Error(`Cannot enroll: ${pick.reason}`);
+
+    const box = originalBox(pick.det, scale);
+    const quality = assessEnrollCrop({
+      image: img,
+      box,
+      landmarks: pick.det.landmarks.positions,
+      descriptor: pick.det.descriptor,
+      own: person ? activeSamples(person).map((s) => s.descriptor) : [],
+      others: toMatchPool(list.filter((p) => p !== person)),
+      thr: (person && personThreshold(person)) ?? settings.threshold,
+    });
+    if (quality.rating === "poor" && !allowPoor) {
+      throw new Error(`Poor enrollment photo: ${quality.issues.map((i) => i.text).join(", ")}`);
+    }
+
+    const sample = newSample(pick.det.descriptor, faceThumb(img, box), source ?? image.name ?? null, pick.det.detection.score);
+    if (person && !dedupeSamples([sample], person.samples).length) {
+      return { personId: person.id, added: false, sample: null, quality };
+    }
+
+    const updated = person
+      ? { ...person, samples: [...person.samples, sample] }
+      : { id: uid(), name: key, samples: [sample], negatives: [] };
+    store.set(person ? list.map((p) => (p === person ? updated : p)) : [...list, updated]);
+    return { personId: updated.id, added: true, sample, quality };
+  }
+
+  // one image → entry (never throws for a bad image: it's "skipped" / "error" with a reason)
+  async function scanEntry(image, name, opts) {
+    let img;
+    try {
+      img = await decodeImage(image);
+    } catch {
+      return { name, status: "skipped", reason: "unreadable", faces: [] };
+    }
+
+    const mp = (img.width * img.height) / 1_000_000;
+    if (mp > scanMegapixelLimit(opts)) {
+      releaseImage(image, img);
+      return { name, status: "skipped", reason: `too large (${mp.toFixed(1)} MP)`, faces: [] };
+    }
+
+    tfScopeStart();
+    try {
+      const res = await scanImage(img, opts);
+      return {
+        name,
+        status: fileStatusFromFaces(res.faces),
+        faceCount: res.faceCount,
+        width: img.width,
+        height: img.height,
+        faces: res.faces,
+      };
+    } catch (err) {
+      return { name, status: "error", reason: String(err?.message || err), faces: [] };
+    } finally {
+      tfScopeEnd();
+      releaseImage(image, img);
+      await tfYield();
+    }
+  }
+
+  // → entry; emits "result" (index 0)
+  async function scan(image, { name = image?.name || "image" } = {}) {
+    const opts = matchOpts();
+    await loadModels();
+    const entry = await scanEntry(image, name, opts);
+    emit("result", { index: 0, ...entry });
+    return entry;
+  }
+
+  // files: File[] / FileList (photos). signal: AbortSignal — the rest are listed as not scanned.
+  // → session; emits "progress" + "result" per file and "done" at the end
+  async function scanFiles(files, { signal = null } = {}) {
+    const list = Array.from(files);
+    const opts = matchOpts();
+    await loadModels();
+
+    const session = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      threshold: opts.thr,
+      band: opts.band,
+      margin: opts.margin,
+      detector: opts.detector,
+      tiled: opts.tiled,
+      people: sessionPeople(opts.pool),
+      files: [],
+    };
+
+    emit("progress", { done: 0, total: list.length, name: null });
+    for (let i = 0; i < list.length; i++) {
+      const name = list[i].webkitRelativePath || list[i].name || `image ${i + 1}`;
+      const entry = signal?.aborted
+        ? { name, status: "skipped", reason: "not scanned (cancelled)", faces: [] }
+        : await scanEntry(list[i], name, opts);
+      session.files.push(entry);
+      emit("progress", { done: i + 1, total: list.length, name });
+      emit("result", { index: i, ...entry });
+    }
+    session.cancelled = !!signal?.aborted;
+    session.finishedAt = new Date().toISOString();
+
+    emit("done", { session, summary: reportSummary(session) });
+    return session;
+  }
+
+  const scanner = {
+    get settings() {
+      return { ...settings };
+    },
+    configure,
+    loadModels,
+    getPeople,
+    setPeople,
+    enroll,
+    scan,
+    scanFiles,
+    addEventListener: target.addEventListener.bind(target),
+    removeEventListener: target.removeEventListener.bind(target),
+  };
+  return { scanner, emit };
+}
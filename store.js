@@ -0,0 +1,402 @@
+// store.js — IndexedDB persistence for the people list
+// - One record per person, one per sample (descriptor as Float32Array), one for scan selection
+// - Schema changes go through MIGRATIONS (index = version being upgraded FROM)
+// - v0 → v1 imports the old localStorage lists (dnu_people_v2, falling back to dnu_people_v1)
+// - v1 → v2 adds per-sample provenance (thumb, source, addedAt, score, disabled)
+// - v2 → v3 adds the detection cache (per-file faces + descriptors, keyed by content hash)
+// - Negative examples ("not this person") live in the samples store with `negative: true`;
+//   records without the flag are ordinary samples, so no migration was needed
+// - Workspaces: the original database is the "default" workspace; every other one is a
+//   database of its own (dnu:ws:<id>, same schema), so ids never collide between them and
+//   deleting one is a deleteDatabase. The workspace list lives in the default database's
+//   meta store, and the detection cache is always the default database's (shared).
+// - Saves only rewrite the people that changed since the last load/save (see personFingerprint)
+// - Every write returns a promise; callers decide how to surface failures (quota etc.)
+// - Connections close themselves when another tab upgrades or deletes their database; an
+//   open/delete held up by some other tab's connection waits for it (see onStoreBlocked)
+// - The in-memory sample shape (normalizeSample) lives in people-io.js
+
+const DB_NAME = "dnu";
+const DB_VERSION = 3;
+const DEFAULT_WORKSPACE = "default";
+
+const LEGACY_PEOPLE_KEYS = ["dnu_people_v2", "dnu_people_v1"];
+const LEGACY_SELECTION_KEY = "dnu_selection_v2";
+
+// -------------------- Migrations --------------------
+const MIGRATIONS = [
+  // 0 → 1: object stores + legacy localStorage data
+  (db, tx) => {
+    db.createObjectStore("people", { keyPath: "id" });
+    const samples = db.createObjectStore("samples", { keyPath: "id" });
+    samples.createIndex("personId", "personId");
+    db.createObjectStore("meta", { keyPath: "key" });
+
+    const legacy = db.name === DB_NAME ? readLegacyLocalStorage() : null; // workspaces start empty
+    if (!legacy) return;
+
+    writePeopleRecords(tx, legacy.people);
+    tx.objectStore("meta").put({ key: "selection", value: legacy.selection });
+    tx.objectStore("meta").put({ key: "migratedFrom", value: legacy.key, at: new Date().toISOString() });
+
+    // only drop the old keys once the upgrade has actually committed
+    tx.addEventListener("complete", () => {
+      for (const k of LEGACY_PEOPLE_KEYS) localStorage.removeItem(k);
+      localStorage.removeItem(LEGACY_SELECTION_KEY);
+    });
+  },
+
+  // 1 → 2: sample provenance. Old samples keep their descriptor; origin is unknown.
+  (db, tx) => {
+    const req = tx.objectStore("samples").openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      cursor.update({ ...sampleDefaults(), ...cursor.value });
+      cursor.continue();
+    };
+  },
+
+  // 2 → 3: detection cache. Nothing to carry over.
+  (db) => {
+    db.createObjectStore("detections", { keyPath: "key" });
+  },
+];
+
+function readLegacyLocalStorage() {
+  try {
+    for (const key of LEGACY_PEOPLE_KEYS) {
+      const raw = localStorage.getItem(key);
+      if (!raw) continue;
+
+      const parsed = JSON.parse(raw);
+      const list = Array.isArray(parsed) ? parsed : parsed?.people;
+      if (!Array.isArray(list)) continue;
+
+      const selRaw = localStorage.getItem(LEGACY_SELECTION_KEY);
+      return { key, people: list, selection: selRaw ? JSON.parse(selRaw) : {} };
+    }
+  } catch (e) {
+    console.warn("Legacy people list unreadable, skipping migration:", e);
+  }
+  return null;
+}
+
+// -------------------- Helpers --------------------
+function reqToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException("Transaction aborted", "AbortError"));
+  });
+}
+
+// people → person + sample records (order kept explicitly)
+function writePeopleRecords(tx, list) {
+  list.forEach((p, order) => {
+    writePersonRecord(tx, p, order);
+    writePersonSamples(tx, p);
+  });
+}
+
+function writePersonRecord(tx, p, order) {
+  tx.objectStore("people").put({
+    id: p.id,
+    name: p.name,
+    threshold: p.threshold ?? null,
+    calibration: p.calibration ?? null,
+    tags: p.tags || [],
+    order,
+  });
+}
+
+// → the sample ids written
+function writePersonSamples(tx, p) {
+  const sampleStore = tx.objectStore("samples");
+  const ids = new Set();
+
+  (p.samples || []).forEach((s, i) => {
+    const sample = normalizeSample(s, `${p.id}:${i}`);
+    ids.add(sample.id);
+    sampleStore.put({
+      ...sample,
+      personId: p.id,
+      order: i,
+      descriptor: Float32Array.from(sample.descriptor),
+    });
+  });
+  (p.negatives || []).forEach((s, i) => {
+    const sample = normalizeSample(s, `${p.id}:n${i}`);
+    ids.add(sample.id);
+    sampleStore.put({
+      ...sample,
+      personId: p.id,
+      order: i,
+      negative: true,
+      descriptor: Float32Array.from(sample.descriptor),
+    });
+  });
+  return ids;
+}
+
+// drops a person's stored samples that aren't in `keep`
+function deletePersonSamples(tx, personId, keep = new Set()) {
+  const sampleStore = tx.objectStore("samples");
+  const req = sampleStore.index("personId").getAllKeys(personId);
+  req.onsuccess = () => {
+    for (const key of req.result) if (!keep.has(key)) sampleStore.delete(key);
+  };
+}
+
+// What a save compares, without touching descriptors or thumbnails: the person record,
+// and their samples by id (samples never change after enrollment, except `disabled`)
+function personFingerprint(p, order) {
+  const ids = (list, prefix) => (list || []).map((s, i) => `${s.id || `${p.id}:${prefix}${i}`}${s.disabled ? "-" : ""}`);
+  return {
+    record: JSON.stringify([p.name, p.threshold ?? null, p.calibration ?? null, p.tags || [], order]),
+    samples: JSON.stringify([ids(p.samples, ""), ids(p.negatives, "n")]),
+  };
+}
+
+function fingerprints(list) {
+  return new Map(list.map((p, order) => [p.id, personFingerprint(p, order)]));
+}
+
+function workspaceDBName(workspaceId) {
+  return workspaceId === DEFAULT_WORKSPACE ? DB_NAME : `${DB_NAME}:ws:${workspaceId}`;
+}
+
+// -------------------- Public --------------------
+const dbPromises = new Map(); // workspace id → Promise<IDBDatabase>
+const storedPeople = new Map(); // workspace id → fingerprints of what its database holds
+let blockedListener = null;
+
+// fn(true) while an open/delete waits for another tab to let go of the database, fn(false) once through
+function onStoreBlocked(fn) {
+  blockedListener = fn;
+}
+// → call once the request settles
+function waitIfBlocked(req) {
+  let blocked = false;
+  req.onblocked = () => {
+    blocked = true;
+    blockedListener?.(true);
+  };
+  return () => blocked && blockedListener?.(false);
+}
+
+function openPeopleDB(workspaceId = DEFAULT_WORKSPACE) {
+  if (dbPromises.has(workspaceId)) return dbPromises.get(workspaceId);
+
+  const dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is not available"));
+
+    const req = indexedDB.open(workspaceDBName(workspaceId), DB_VERSION);
+    const unblocked = waitIfBlocked(req);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      const tx = req.transaction;
+      for (let v = e.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](db, tx);
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // a newer page version (upgrade) or a workspace delete in another tab: let it through;
+      // the next call here reopens
+      db.onversionchange = () => {
+        db.close();
+        if (dbPromises.get(workspaceId) === dbPromise) dbPromises.delete(workspaceId);
+      };
+      unblocked();
+      resolve(db);
+    };
+    req.onerror = () => {
+      unblocked();
+      reject(req.error);
+    };
+  });
+  dbPromises.set(workspaceId, dbPromise);
+  dbPromise.catch(() => dbPromises.delete(workspaceId));
+  return dbPromise;
+}
+
+// → { people: [{id, name, threshold, calibration, tags, samples:Sample[], negatives:Sample[]}], selection: { [id]: boolean } }
+async function dbLoadAll(workspaceId = DEFAULT_WORKSPACE) {
+  const db = await openPeopleDB(workspaceId);
+  const tx = db.transaction(["people", "samples", "meta"], "readonly");
+
+  const [personRecs, sampleRecs, selection] = await Promise.all([
+    reqToPromise(tx.objectStore("people").getAll()),
+    reqToPromise(tx.objectStore("samples").getAll()),
+    reqToPromise(tx.objectStore("meta").get("selection")),
+  ]);
+
+  const byPerson = new Map();
+  const negByPerson = new Map();
+  for (const s of sampleRecs) {
+    const map = s.negative ? negByPerson : byPerson;
+    if (!map.has(s.personId)) map.set(s.personId, []);
+    map.get(s.personId).push(s);
+  }
+  const restore = (recs = []) =>
+    recs
+      .sort((a, b) => a.order - b.order)
+      .map(({ personId, order, negative, ...rest }) => normalizeSample(rest));
+
+  const list = personRecs
+    .sort((a, b) => a.order - b.order)
+    .map((p) => ({
+      id: p.id,
+      name: p.name,
+      threshold: p.threshold ?? null,
+      calibration: p.calibration ?? null,
+      tags: p.tags || [],
+      samples: restore(byPerson.get(p.id)),
+      negatives: restore(negByPerson.get(p.id)),
+    }));
+
+  storedPeople.set(workspaceId, fingerprints(list));
+  return { people: list, selection: selection?.value || {} };
+}
+
+// One transaction: either everything lands or nothing does. Only people whose record or
+// samples changed since the last load/save are written (all of them when this database
+// wasn't loaded yet).
+async function dbSavePeople(list, workspaceId = DEFAULT_WORKSPACE) {
+  const db = await openPeopleDB(workspaceId);
+  const tx = db.transaction(["people", "samples"], "readwrite");
+  const stored = storedPeople.get(workspaceId);
+  const next = fingerprints(list);
+
+  if (!stored) {
+    tx.objectStore("people").clear();
+    tx.objectStore("samples").clear();
+    writePeopleRecords(tx, list);
+  } else {
+    // a sample can move to another person (replace import): whatever this save writes stays
+    const written = new Set();
+    const stale = [];
+    list.forEach((p, order) => {
+      const was = stored.get(p.id);
+      const now = next.get(p.id);
+      if (was?.record !== now.record) writePersonRecord(tx, p, order);
+      if (was?.samples !== now.samples) {
+        for (const id of writePersonSamples(tx, p)) written.add(id);
+        if (was) stale.push(p.id);
+      }
+    });
+    for (const id of stored.keys()) {
+      if (next.has(id)) continue;
+      tx.objectStore("people").delete(id);
+      stale.push(id);
+    }
+    for (const id of stale) deletePersonSamples(tx, id, written);
+  }
+
+  await txDone(tx);
+  storedPeople.set(workspaceId, next);
+}
+
+async function dbSaveSelection(selection, workspaceId = DEFAULT_WORKSPACE) {
+  const db = await openPeopleDB(workspaceId);
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put({ key: "selection", value: selection });
+  return txDone(tx);
+}
+
+// Cached descriptors are biometric data too, so they go with everything else
+// (the cache is shared, so this empties it for every workspace).
+async function dbClearAll(workspaceId = DEFAULT_WORKSPACE) {
+  const db = await openPeopleDB(workspaceId);
+  const tx = db.transaction(["people", "samples", "meta"], "readwrite");
+  tx.objectStore("people").clear();
+  tx.objectStore("samples").clear();
+  tx.objectStore("meta").delete("selection");
+  await txDone(tx);
+  storedPeople.set(workspaceId, new Map());
+  return dbClearDetections();
+}
+
+// -------------------- Workspaces --------------------
+// → { workspaces: [{ id, name, createdAt }], active } (nothing saved yet: just the default one)
+async function dbLoadWorkspaces() {
+  const db = await openPeopleDB();
+  const meta = db.transaction("meta", "readonly").objectStore("meta");
+  const [list, active] = await Promise.all([
+    reqToPromise(meta.get("workspaces")),
+    reqToPromise(meta.get("activeWorkspace")),
+  ]);
+  const workspaces = list?.value?.length ? list.value : [{ id: DEFAULT_WORKSPACE, name: "Default", createdAt: null }];
+  const activeId = workspaces.some((w) => w.id === active?.value) ? active.value : workspaces[0].id;
+  return { workspaces, active: activeId };
+}
+
+async function dbSaveWorkspaces(workspaces, active) {
+  const db = await openPeopleDB();
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put({ key: "workspaces", value: workspaces });
+  tx.objectStore("meta").put({ key: "activeWorkspace", value: active });
+  return txDone(tx);
+}
+
+// A workspace's people, samples and selection. The default database is only emptied:
+// it also holds the workspace list and the detection cache.
+async function dbDeleteWorkspace(workspaceId) {
+  if (workspaceId === DEFAULT_WORKSPACE) {
+    const db = await openPeopleDB();
+    const tx = db.transaction(["people", "samples", "meta"], "readwrite");
+    tx.objectStore("people").clear();
+    tx.objectStore("samples").clear();
+    tx.objectStore("meta").delete("selection");
+    await txDone(tx);
+    storedPeople.set(workspaceId, new Map());
+    return;
+  }
+
+  storedPeople.delete(workspaceId);
+  const open = dbPromises.get(workspaceId);
+  dbPromises.delete(workspaceId);
+  if (open) (await open.catch(() => null))?.close();
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(workspaceDBName(workspaceId));
+    const unblocked = waitIfBlocked(req);
+    req.onsuccess = () => {
+      unblocked();
+      resolve();
+    };
+    req.onerror = () => {
+      unblocked();
+      reject(req.error);
+    };
+  });
+}
+
+// -------------------- Detection cache --------------------
+// { key, width, height, faceCount, faces: [{ box, score, descriptor }], status, reason, at }
+async function dbGetDetection(key) {
+  const db = await openPeopleDB();
+  return reqToPromise(db.transaction("detections", "readonly").objectStore("detections").get(key));
+}
+
+async function dbPutDetection(record) {
+  const db = await openPeopleDB();
+  const tx = db.transaction("detections", "readwrite");
+  tx.objectStore("detections").put(record);
+  return txDone(tx);
+}
+
+async function dbClearDetections() {
+  const db = await openPeopleDB();
+  const tx = db.transaction("detections", "readwrite");
+  tx.objectStore("detections").clear();
+  return txDone(tx);
+}
+
+function isQuotaError(err) {
+  return err?.name === "QuotaExceededError";
+}
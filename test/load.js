@@ -0,0 +1,21 @@
+// Loads the page's classic scripts as globals, the way scan-cli.js does (vm, unchanged)
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+globalThis.crypto ??= require("crypto").webcrypto; // Node 18
+
+const loaded = new Set();
+
+// loadScripts("scan-core.js", "people-io.js") → { anyTopLevelName } (looked up on use)
+function loadScripts(...files) {
+  for (const file of files) {
+    if (loaded.has(file)) continue;
+    const full = path.join(__dirname, "..", file);
+    vm.runInThisContext(fs.readFileSync(full, "utf8"), { filename: full });
+    loaded.add(file);
+  }
+  return new Proxy({}, { get: (_, name) => (typeof name === "string" ? vm.runInThisContext(name) : undefined) });
+}
+
+module.exports = { loadScripts };
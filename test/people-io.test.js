@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load");
+
+const io = loadScripts("scan-core.js", "people-io.js");
+
+const descriptor = (seed) => Array.from({ length: 128 }, (_, i) => Math.sin(i * 0.1 + seed) / 4);
+const sample = (id, seed) => ({ ...io.sampleDefaults(), id, descriptor: descriptor(seed) });
+const person = (id, name, samples, extra = {}) => ({ id, name, tags: [], samples, negatives: [], ...extra });
+const copy = (v) => JSON.parse(JSON.stringify(v)); // plain arrays/objects for deepEqual
+
+test("validatePeopleFile: v2 descriptors become samples, bad entries are dropped with a reason", () => {
+  const res = io.validatePeopleFile({
+    version: 2,
+    people: [
+      { id: "a", name: " Ann ", samples: [descriptor(1), [1, 2, 3]], threshold: 5 },
+      { id: "a", name: "Again", samples: [] },
+      { name: "No id", samples: [] },
+    ],
+  });
+  assert.equal(res.fatal, null);
+  assert.equal(res.people.length, 1);
+  assert.equal(res.people[0].name, "Ann");
+  assert.equal(res.people[0].threshold, null);
+  assert.equal(res.people[0].samples.length, 1);
+  assert.equal(typeof res.people[0].samples[0].id, "string");
+  assert.equal(res.errors.length, 4);
+});
+
+test("validatePeopleFile: newer versions and non-lists are fatal", () => {
+  assert.match(io.validatePeopleFile({ version: 99, people: [] }).fatal, /newer version/);
+  assert.match(io.validatePeopleFile({ people: {} }).fatal, /missing "people" array/);
+});
+
+test("planPeopleImport by name: merges new samples and tags, skips duplicates", () => {
+  const current = [person("a", "Ann", [sample("s1", 1)])];
+  const incoming = [
+    person("zz", "ann", [sample("other-id", 1), sample("s2", 2)], { tags: ["Staff"] }),
+    person("b", "Bob", [sample("s3", 3)]),
+  ];
+  const plan = io.planPeopleImport(current, incoming, "name");
+  assert.deepEqual(copy(plan.updated), [{ name: "Ann", samples: 1, negatives: 0, tags: 1 }]);
+  assert.deepEqual(copy(plan.added), ["Bob"]);
+  assert.deepEqual(plan.people.map((p) => [p.id, p.samples.map((s) => s.id)]), [["a", ["s1", "s2"]], ["b", ["s3"]]]);
+  assert.equal(current[0].samples.length, 1, "current list is left alone");
+});
+
+test("planPeopleImport: incoming sample ids never overwrite someone else's samples", () => {
+  const current = [person("x", "Jon", [sample("s1", 1)], { negatives: [sample("n1", 4)] })];
+  const ids = (plan) => plan.people.flatMap((p) => [...p.samples, ...p.negatives].map((s) => s.id));
+  const unique = (list) => assert.equal(new Set(list).size, list.length, `duplicate sample ids: ${list}`);
+
+  // new person (by name), with a colliding person id, sample id and negative id
+  const added = io.planPeopleImport(current, [person("x", "John", [sample("s1", 2)], { negatives: [sample("s1", 5)] })], "name");
+  assert.deepEqual(added.people.map((p) => p.name), ["Jon", "John"]);
+  assert.deepEqual(added.people[0].samples.map((s) => s.id), ["s1"]);
+  unique(ids(added));
+
+  // merged into Jon: a sample id that is Jon's negative is someone else's record too
+  const merged = io.planPeopleImport(current, [person("y", "Jon", [sample("n1", 3)])], "name");
+  assert.equal(merged.people[0].samples.length, 2);
+  unique(ids(merged));
+
+  // replace: two people in the file sharing a sample id
+  const replaced = io.planPeopleImport(current, [person("a", "Ann", [sample("s9", 1)]), person("b", "Bob", [sample("s9", 2)])], "replace");
+  unique(ids(replaced));
+  assert.equal(replaced.people[0].samples[0].id, "s9");
+});
+
+test("planPeopleImport: ambiguous names and id/name mismatches are conflicts", () => {
+  const current = [person("a", "Ann", []), person("b", "Ann", [])];
+  assert.equal(io.planPeopleImport(current, [person("c", "Ann", [])], "name").conflicts.length, 1);
+  assert.equal(io.planPeopleImport(current, [person("a", "Zoe", [])], "id").conflicts.length, 1);
+});
+
+test("encrypted envelope: round trip, wrong passphrase, tampered header", async () => {
+  const payload = { version: 3, people: [person("a", "Ann", [sample("s1", 1)])] };
+  const env = await io.encryptPeopleExport(payload, "correct horse");
+  assert.ok(io.isEncryptedEnvelope(env));
+  assert.deepEqual(copy(await io.decryptPeopleExport(env, "correct horse")), payload);
+
+  await assert.rejects(io.decryptPeopleExport(env, "wrong"), /Wrong passphrase/);
+  await assert.rejects(
+    io.decryptPeopleExport({ ...env, kdf: { ...env.kdf, iterations: env.kdf.iterations + 1 } }, "correct horse"),
+    /Wrong passphrase, or the file was modified/
+  );
+  await assert.rejects(
+    io.decryptPeopleExport({ ...env, kdf: { ...env.kdf, iterations: 1e9 } }, "correct horse"),
+    /damaged \(bad header\)/
+  );
+  await assert.rejects(
+    io.decryptPeopleExport({ ...env, cipher: { ...env.cipher, iv: "AAAA" } }, "correct horse"),
+    /damaged \(bad salt, IV or data\)/
+  );
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load");
+
+const report = loadScripts("report.js");
+
+// just enough CSV to check the columns: quoted cells, doubled quotes, CRLF rows
+function parseCSV(text) {
+  return text.trimEnd().split("\r\n").map((line) => {
+    const cells = [""];
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (quoted && c === '"' && line[i + 1] === '"') cells[cells.length - 1] += line[i++];
+      else if (c === '"') quoted = !quoted;
+      else if (c === "," && !quoted) cells.push("");
+      else cells[cells.length - 1] += c;
+    }
+    return cells;
+  });
+}
+
+function session(files, extra = {}) {
+  return {
+    startedAt: "2026-01-01T00:00:00.000Z",
+    finishedAt: "2026-01-01T00:01:00.000Z",
+    threshold: 0.55,
+    band: 0.06,
+    margin: 0.04,
+    detector: "tiny",
+    tiled: false,
+    people: [{ id: "a", name: "Ann", samples: 3, threshold: 0.4 }],
+    cancelled: false,
+    files,
+    ...extra,
+  };
+}
+
+const matchedFace = {
+  box: { x: 10.4, y: 20.6, width: 50, height: 60 },
+  best: { level: "match", personId: "a", name: "Ann", dist: 0.31234, threshold: 0.4, confidence: 90, runnerUp: null },
+};
+
+test("csvCell: formulas are neutralized, separators and quotes are quoted", () => {
+  assert.equal(report.csvCell("=HYPERLINK(\"x\")"), `"'=HYPERLINK(""x"")"`);
+  assert.equal(report.csvCell("+1"), "'+1");
+  assert.equal(report.csvCell("@cmd"), "'@cmd");
+  assert.equal(report.csvCell(-0.5), "-0.5");
+  assert.equal(report.csvCell("a,b"), '"a,b"');
+  assert.equal(report.csvCell(null), "");
+});
+
+test("buildReportCSV: header first, one row per face, same columns on every row", () => {
+  const rows = parseCSV(report.buildReportCSV(session([
+    { name: "=evil.jpg", status: "flagged", faceCount: 2, faces: [matchedFace, { box: matchedFace.box, best: null }] },
+    { name: "b.jpg", status: "clear", faceCount: 0, faces: [] },
+  ])));
+  const [header, ...body] = rows;
+  assert.equal(header[0], "file");
+  assert.equal(body.length, 2);
+  for (const row of body) assert.equal(row.length, header.length);
+
+  const col = (row, name) => row[header.indexOf(name)];
+  assert.equal(col(body[0], "file"), "'=evil.jpg");
+  assert.equal(col(body[0], "person"), "Ann");
+  assert.equal(col(body[0], "distance"), "0.3123");
+  assert.equal(col(body[0], "applied_threshold"), "0.4");
+  assert.equal(col(body[0], "threshold"), "0.55");
+  assert.equal(col(body[0], "box_x"), "10");
+  assert.equal(col(body[1], "level"), "");
+  assert.equal(col(body[1], "scanned_against"), "Ann (0.4)");
+  assert.equal(col(body[1], "complete"), "yes");
+});
+
+test("reports never read as complete when files were skipped", () => {
+  const s = session([
+    { name: "a.jpg", status: "clear", faceCount: 0, faces: [] },
+    { name: "b.jpg", status: "skipped", reason: "unreadable", faceCount: 0, faces: [] },
+  ], { cancelled: true });
+  const json = JSON.parse(report.buildReportJSON(s));
+  assert.equal(json.complete, false);
+  assert.deepEqual(json.summary, { flagged: 0, possible: 0, clear: 1, skipped: 1, error: 0 });
+  assert.match(report.coverageLine(s, json.summary), /^INCOMPLETE: 1 of 2/);
+
+  const [header, row] = parseCSV(report.buildReportCSV(s));
+  assert.equal(row[header.indexOf("complete")], "no");
+  assert.equal(row[header.indexOf("cancelled")], "yes");
+});
@@ -0,0 +1,146 @@
+// video.js — video clips: frame sampling + per-person appearance ranges
+// - Frames are grabbed from a <video> element (main thread only) and go through the
+//   same scanImage pipeline as photos; app.js drives the loop (pause/cancel/progress)
+// - A clip's result is its sampled frames (raw faces + descriptors) so re-matching
+//   rebuilds the ranges without decoding the video again
+// - Needs matchFaces / makeCanvas from scan-core.js
+
+const VIDEO_EXT = /\.(mp4|m4v|mov|webm|ogv|mkv)$/i;
+const VIDEO_DEFAULT_INTERVAL = 1; // seconds between sampled frames
+const VIDEO_MIN_INTERVAL = 0.2;
+const VIDEO_MAX_FRAMES = 600;     // longer clips get a wider interval instead
+const VIDEO_GAP_FRAMES = 1;       // missed frames tolerated inside one appearance (blinks, blur)
+const VIDEO_SEEK_TIMEOUT = 8000;  // ms
+
+function isVideoFile(file) {
+  return file.type ? file.type.startsWith("video/") : VIDEO_EXT.test(file.name);
+}
+
+// 75.4 → "1:15.4" (tenths only when the interval needs them)
+function formatTimecode(seconds, tenths = false) {
+  const m = Math.floor(seconds / 60);
+  const s = seconds - m * 60;
+  const sec = tenths ? s.toFixed(1).padStart(4, "0") : String(Math.floor(s)).padStart(2, "0");
+  return `${m}:${sec}`;
+}
+
+function waitForEvent(target, type, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => done(new Error(`Timed out waiting for ${type}`)), ms);
+    const onOk = () => done();
+    const onErr = () => done(new Error("Video could not be decoded"));
+    const done = (err) => {
+      clearTimeout(timer);
+      target.removeEventListener(type, onOk);
+      target.removeEventListener("error", onErr);
+      if (err) reject(err);
+      else resolve();
+    };
+    target.addEventListener(type, onOk);
+    target.addEventListener("error", onErr);
+  });
+}
+
+// → { video, duration, width, height, close() }; throws when the browser can't play it
+async function openVideo(file) {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement("video");
+  video.muted = true;
+  video.preload = "auto";
+  video.playsInline = true;
+  const close = () => {
+    video.removeAttribute("src");
+    video.load();
+    URL.revokeObjectURL(url);
+  };
+
+  try {
+    const loaded = waitForEvent(video, "loadeddata", VIDEO_SEEK_TIMEOUT);
+    video.src = url;
+    await loaded;
+  } catch (e) {
+    close();
+    throw e;
+  }
+  if (!video.videoWidth || !Number.isFinite(video.duration)) {
+    close();
+    throw new Error("Video has no readable frames");
+  }
+  return { video, duration: video.duration, width: video.videoWidth, height: video.videoHeight, close };
+}
+
+// Seeks and copies the frame onto a canvas (detection needs a stable bitmap, not the live element)
+async function grabFrame(clip, t) {
+  if (Math.abs(clip.video.currentTime - t) > 1e-3) {
+    const seeked = waitForEvent(clip.video, "seeked", VIDEO_SEEK_TIMEOUT);
+    clip.video.currentTime = t;
+    await seeked;
+  }
+  const canvas = makeCanvas(clip.width, clip.height);
+  canvas.getContext("2d").drawImage(clip.video, 0, 0, clip.width, clip.height);
+  return canvas;
+}
+
+// One-off frame (preview, report thumbnails)
+async function videoFrameAt(file, t) {
+  const clip = await openVideo(file);
+  try {
+    return await grabFrame(clip, Math.min(t, Math.max(0, clip.duration - 0.05)));
+  } finally {
+    clip.close();
+  }
+}
+
+// → { interval (possibly widened), times[] }
+function sampleTimes(duration, interval) {
+  let step = Math.max(VIDEO_MIN_INTERVAL, interval || VIDEO_DEFAULT_INTERVAL);
+  if (duration / step > VIDEO_MAX_FRAMES) step = duration / VIDEO_MAX_FRAMES;
+
+  const times = [];
+  for (let t = 0; t < duration; t += step) times.push(+t.toFixed(3));
+  if (!times.length) times.push(0);
+  return { interval: step, times };
+}
+
+// frames: [{ t, faces: [{ box, score, descriptor }] }] in time order
+// → { faces, faceCount }. One face per appearance (the closest frame of it), carrying
+// { at, start, end, frames } on top of the usual { box, score, descriptor, best }.
+// Consecutive sampled frames where the same person is the best match form one range;
+// a range ends after VIDEO_GAP_FRAMES sampled frames without them.
+function videoAppearances(frames, interval, duration, opts) {
+  const open = new Map(); // personId → range being built
+  const ranges = [];
+  let faceCount = 0;
+
+  frames.forEach((frame, i) => {
+    const matched = matchFaces(frame.faces, opts);
+    faceCount = Math.max(faceCount, matched.length);
+
+    // closest face per person in this frame
+    const seen = new Map();
+    for (const f of matched) {
+      if (!f.best) continue;
+      const prev = seen.get(f.best.personId);
+      if (!prev || f.best.dist < prev.best.dist) seen.set(f.best.personId, f);
+    }
+
+    for (const [personId, face] of seen) {
+      let range = open.get(personId);
+      if (range && i - range.lastIndex > VIDEO_GAP_FRAMES + 1) range = null;
+      if (!range) {
+        range = { start: frame.t, lastIndex: i, last: frame.t, frames: 0, rep: null };
+        open.set(personId, range);
+        ranges.push(range);
+      }
+      range.lastIndex = i;
+      range.last = frame.t;
+      range.frames++;
+      if (!range.rep || face.best.dist < range.rep.best.dist) range.rep = { ...face, at: frame.t };
+    }
+  });
+
+  const faces = ranges
+    .map((r) => ({ ...r.rep, start: r.start, end: Math.min(duration, r.last + interval), frames: r.frames }))
+    .sort((a, b) => a.start - b.start);
+  return { faces, faceCount };
+}